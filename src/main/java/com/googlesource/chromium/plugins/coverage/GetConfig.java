@@ -0,0 +1,272 @@
+// Copyright 2019 The Chromium Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+package com.googlesource.chromium.plugins.coverage;
+
+import com.google.gerrit.extensions.restapi.Response;
+import com.google.gerrit.extensions.restapi.RestReadView;
+import com.google.gerrit.server.config.PluginConfig;
+import com.google.gerrit.server.config.PluginConfigFactory;
+import com.google.gerrit.server.project.NoSuchProjectException;
+import com.google.gerrit.server.project.ProjectResource;
+import com.google.gerrit.server.project.ProjectState;
+import com.google.gson.annotations.SerializedName;
+import com.google.inject.Inject;
+import com.google.inject.Singleton;
+import java.util.ArrayList;
+import java.util.Arrays;
+import java.util.List;
+import org.eclipse.jgit.lib.Config;
+
+@Singleton
+class GetConfig implements RestReadView<ProjectResource> {
+  // Name of the plugin section of project.config, and of the code-coverage.config files that
+  // register coverage backends in refs/meta/config and in the etc directory of the site.
+  static final String CONFIG_NAME = "code-coverage";
+
+  private static final String BACKEND_SECTION = "backend";
+
+  private final PluginConfigFactory config;
+
+  @Inject
+  GetConfig(PluginConfigFactory config) {
+    this.config = config;
+  }
+
+  @Override
+  public Response<CoverageConfig> apply(ProjectResource project) throws NoSuchProjectException {
+    // Settings that the project leaves unset are inherited from its parent projects.
+    PluginConfig coverageConfigForProject =
+        this.config.getFromProjectConfigWithInheritance(project.getNameKey(), CONFIG_NAME);
+    CoverageConfig result = new CoverageConfig();
+    result.enabled = coverageConfigForProject.getBoolean("enabled", false);
+    result.endpoint = coverageConfigForProject.getString("endpoint", "");
+    result.format = coverageConfigForProject.getString("format");
+    result.lowCoverageThreshold =
+        coverageConfigForProject.getString("lowCoverageThreshold");
+    result.lowAbsoluteCoverageThreshold =
+        coverageConfigForProject.getString("lowAbsoluteCoverageThreshold");
+    result.lowUnitTestsCoverageThreshold =
+        coverageConfigForProject.getString("lowUnitTestsCoverageThreshold");
+    result.pathThreshold =
+        Arrays.asList(coverageConfigForProject.getStringList("pathThreshold"));
+    result.exemptPath =
+        Arrays.asList(coverageConfigForProject.getStringList("exemptPath"));
+    result.reportUrl = coverageConfigForProject.getString("reportUrl");
+    result.stripPathPrefix =
+        Arrays.asList(coverageConfigForProject.getStringList("stripPathPrefix"));
+    result.pathPrefix = coverageConfigForProject.getString("pathPrefix");
+    result.checks = coverageConfigForProject.getBoolean("checks", false);
+    result.checkName = coverageConfigForProject.getString("checkName");
+    result.checksBlocking =
+        coverageConfigForProject.getBoolean("checksBlocking", false);
+    result.hostPrefix = Arrays.asList(coverageConfigForProject.getStringList("hostPrefix"));
+    result.credentials = coverageConfigForProject.getString("credentials");
+    result.proxy = coverageConfigForProject.getBoolean("proxy", false);
+    // Headers of proxied backends are only sent by GetCoverageData, so that they never reach the
+    // browser.
+    if (!result.proxy) {
+      result.headers = Arrays.asList(coverageConfigForProject.getStringList("headers"));
+    }
+    result.signInUrl = coverageConfigForProject.getString("signInUrl");
+    result.pendingRetries = coverageConfigForProject.getString("pendingRetries");
+    result.pendingRetryDelay = coverageConfigForProject.getString("pendingRetryDelay");
+    result.persistCache = coverageConfigForProject.getBoolean("persistCache", false);
+    result.persistentCacheMaxAge = coverageConfigForProject.getString("persistentCacheMaxAge");
+    result.combined = coverageConfigForProject.getBoolean("combined", false);
+    result.computeIncremental =
+        coverageConfigForProject.getBoolean("computeIncremental", false);
+    result.heatMapThresholds = coverageConfigForProject.getString("heatMapThresholds");
+    result.dimension = Arrays.asList(coverageConfigForProject.getStringList("dimension"));
+    result.platform = Arrays.asList(coverageConfigForProject.getStringList("platform"));
+    result.defaultPlatform = coverageConfigForProject.getString("defaultPlatform");
+
+    result.backends = getBackends(this.config, project);
+    for (BackendConfig backend : result.backends) {
+      if (Boolean.TRUE.equals(backend.proxy)) {
+        backend.headers = null;
+      }
+    }
+
+    return Response.ok(result);
+  }
+
+  // Gets the backends registered for a project. The backends of the project are looked up before
+  // those of its parents, and those of the site last.
+  static List<BackendConfig> getBackends(PluginConfigFactory config, ProjectResource project) {
+    List<BackendConfig> backends = new ArrayList<>();
+    for (ProjectState projectState : project.getProjectState().tree()) {
+      addBackends(config.getProjectPluginConfig(projectState, CONFIG_NAME), backends);
+    }
+    addBackends(config.getGlobalPluginConfig(CONFIG_NAME), backends);
+    return backends;
+  }
+
+  private static void addBackends(Config backendsConfig, List<BackendConfig> backends) {
+    for (String name : backendsConfig.getSubsections(BACKEND_SECTION)) {
+      BackendConfig backend = new BackendConfig();
+      backend.host = Arrays.asList(backendsConfig.getStringList(BACKEND_SECTION, name, "host"));
+      backend.project =
+          Arrays.asList(backendsConfig.getStringList(BACKEND_SECTION, name, "project"));
+      backend.endpoint = backendsConfig.getString(BACKEND_SECTION, name, "endpoint");
+      backend.params = backendsConfig.getString(BACKEND_SECTION, name, "params");
+      backend.format = backendsConfig.getString(BACKEND_SECTION, name, "format");
+      backend.reportUrl = backendsConfig.getString(BACKEND_SECTION, name, "reportUrl");
+      String[] stripPathPrefix =
+          backendsConfig.getStringList(BACKEND_SECTION, name, "stripPathPrefix");
+      if (stripPathPrefix.length > 0) {
+        backend.stripPathPrefix = Arrays.asList(stripPathPrefix);
+      }
+      backend.pathPrefix = backendsConfig.getString(BACKEND_SECTION, name, "pathPrefix");
+      backend.credentials = backendsConfig.getString(BACKEND_SECTION, name, "credentials");
+      String[] headers = backendsConfig.getStringList(BACKEND_SECTION, name, "headers");
+      if (headers.length > 0) {
+        backend.headers = Arrays.asList(headers);
+      }
+      backend.signInUrl = backendsConfig.getString(BACKEND_SECTION, name, "signInUrl");
+      if (backendsConfig.getString(BACKEND_SECTION, name, "proxy") != null) {
+        backend.proxy = backendsConfig.getBoolean(BACKEND_SECTION, name, "proxy", false);
+      }
+      if (backendsConfig.getString(BACKEND_SECTION, name, "combined") != null) {
+        backend.combined = backendsConfig.getBoolean(BACKEND_SECTION, name, "combined", false);
+      }
+      backends.add(backend);
+    }
+  }
+
+  static class CoverageConfig {
+    @SerializedName("enabled")
+    Boolean enabled;
+
+    @SerializedName("endpoint")
+    String endpoint;
+
+    @SerializedName("format")
+    String format;
+
+    @SerializedName("lowCoverageThreshold")
+    String lowCoverageThreshold;
+
+    @SerializedName("lowAbsoluteCoverageThreshold")
+    String lowAbsoluteCoverageThreshold;
+
+    @SerializedName("lowUnitTestsCoverageThreshold")
+    String lowUnitTestsCoverageThreshold;
+
+    @SerializedName("pathThreshold")
+    List<String> pathThreshold;
+
+    @SerializedName("exemptPath")
+    List<String> exemptPath;
+
+    @SerializedName("reportUrl")
+    String reportUrl;
+
+    @SerializedName("stripPathPrefix")
+    List<String> stripPathPrefix;
+
+    @SerializedName("pathPrefix")
+    String pathPrefix;
+
+    @SerializedName("checks")
+    Boolean checks;
+
+    @SerializedName("checkName")
+    String checkName;
+
+    @SerializedName("checksBlocking")
+    Boolean checksBlocking;
+
+    @SerializedName("hostPrefix")
+    List<String> hostPrefix;
+
+    @SerializedName("backends")
+    List<BackendConfig> backends;
+
+    @SerializedName("credentials")
+    String credentials;
+
+    @SerializedName("headers")
+    List<String> headers;
+
+    @SerializedName("proxy")
+    Boolean proxy;
+
+    @SerializedName("signInUrl")
+    String signInUrl;
+
+    @SerializedName("pendingRetries")
+    String pendingRetries;
+
+    @SerializedName("pendingRetryDelay")
+    String pendingRetryDelay;
+
+    @SerializedName("persistCache")
+    Boolean persistCache;
+
+    @SerializedName("persistentCacheMaxAge")
+    String persistentCacheMaxAge;
+
+    @SerializedName("combined")
+    Boolean combined;
+
+    @SerializedName("computeIncremental")
+    Boolean computeIncremental;
+
+    @SerializedName("heatMapThresholds")
+    String heatMapThresholds;
+
+    @SerializedName("dimension")
+    List<String> dimension;
+
+    @SerializedName("platform")
+    List<String> platform;
+
+    @SerializedName("defaultPlatform")
+    String defaultPlatform;
+  }
+
+  // Settings of a backend that are left unset are omitted, so that the client falls back to the
+  // top-level settings of the same name.
+  static class BackendConfig {
+    @SerializedName("host")
+    List<String> host;
+
+    @SerializedName("project")
+    List<String> project;
+
+    @SerializedName("endpoint")
+    String endpoint;
+
+    @SerializedName("params")
+    String params;
+
+    @SerializedName("format")
+    String format;
+
+    @SerializedName("reportUrl")
+    String reportUrl;
+
+    @SerializedName("stripPathPrefix")
+    List<String> stripPathPrefix;
+
+    @SerializedName("pathPrefix")
+    String pathPrefix;
+
+    @SerializedName("credentials")
+    String credentials;
+
+    @SerializedName("headers")
+    List<String> headers;
+
+    @SerializedName("proxy")
+    Boolean proxy;
+
+    @SerializedName("signInUrl")
+    String signInUrl;
+
+    @SerializedName("combined")
+    Boolean combined;
+  }
+}
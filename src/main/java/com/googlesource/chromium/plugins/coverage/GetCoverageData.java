@@ -0,0 +1,250 @@
+// Copyright 2020 The Chromium Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+package com.googlesource.chromium.plugins.coverage;
+
+import static java.nio.charset.StandardCharsets.UTF_8;
+
+import com.google.common.base.Strings;
+import com.google.common.io.ByteStreams;
+import com.google.gerrit.extensions.restapi.BadRequestException;
+import com.google.gerrit.extensions.restapi.BinaryResult;
+import com.google.gerrit.extensions.restapi.ResourceNotFoundException;
+import com.google.gerrit.extensions.restapi.Response;
+import com.google.gerrit.extensions.restapi.RestApiException;
+import com.google.gerrit.extensions.restapi.RestReadView;
+import com.google.gerrit.server.config.PluginConfig;
+import com.google.gerrit.server.config.PluginConfigFactory;
+import com.google.gerrit.server.project.NoSuchProjectException;
+import com.google.gerrit.server.project.ProjectResource;
+import com.google.inject.Inject;
+import com.googlesource.chromium.plugins.coverage.GetConfig.BackendConfig;
+import java.io.IOException;
+import java.io.InputStream;
+import java.io.UnsupportedEncodingException;
+import java.net.HttpURLConnection;
+import java.net.URL;
+import java.net.URLEncoder;
+import java.util.ArrayList;
+import java.util.Arrays;
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+import org.kohsuke.args4j.Option;
+
+// Fetches the coverage data of a patchset from a proxied backend, adding the headers of the backend
+// on the server so that tokens never reach the browser. The backend is resolved the same way as by
+// CoverageClient.getCoverageBackend of coverage.js, and the response of the backend is passed on
+// as is.
+class GetCoverageData implements RestReadView<ProjectResource> {
+  // Host prefixes stripped before matching the hosts of backends, as by HOST_PREFIXES of
+  // coverage.js. More are added by the 'hostPrefix' setting.
+  private static final List<String> HOST_PREFIXES =
+      Arrays.asList("canary-", "polymer1-", "polymer2-");
+
+  // Default URL parameters of the requests to a backend, as by DEFAULT_BACKEND_PARAMS and
+  // DEFAULT_PLATFORM_PARAM of coverage.js.
+  private static final String DEFAULT_JSON_PARAMS =
+      "host={host}&project={project}&change={change}&patchset={patchset}&"
+          + "type={type}&format=json&concise=1";
+  private static final String DEFAULT_REPORT_PARAMS =
+      "host={host}&project={project}&change={change}&patchset={patchset}";
+  private static final String DEFAULT_PLATFORM_PARAM = "platform={platform}";
+
+  private static final Pattern TEMPLATE_PLACEHOLDER =
+      Pattern.compile("\\{(host|project|change|patchset|platform|type)\\}");
+
+  private static final int TIMEOUT_MS = 30000;
+
+  private final PluginConfigFactory config;
+
+  @Option(name = "--host", usage = "Gerrit host of the patchset")
+  private String host = "";
+
+  @Option(name = "--change", usage = "change number of the patchset")
+  private String change = "";
+
+  @Option(name = "--patchset", usage = "patchset number")
+  private String patchset = "";
+
+  @Option(name = "--platform", usage = "platform of the coverage data")
+  private String platform = "";
+
+  @Option(name = "--type", usage = "type of coverage data: lines, percentages or all")
+  private String type = "";
+
+  @Inject
+  GetCoverageData(PluginConfigFactory config) {
+    this.config = config;
+  }
+
+  @Override
+  public Response<BinaryResult> apply(ProjectResource project)
+      throws RestApiException, IOException, NoSuchProjectException {
+    PluginConfig coverageConfigForProject =
+        this.config.getFromProjectConfigWithInheritance(
+            project.getNameKey(), GetConfig.CONFIG_NAME);
+    BackendConfig backend = findBackend(project, coverageConfigForProject);
+    if (backend == null) {
+      throw new ResourceNotFoundException("code coverage is not configured");
+    }
+    boolean proxy =
+        backend.proxy != null ? backend.proxy : coverageConfigForProject.getBoolean("proxy", false);
+    if (!proxy) {
+      throw new ResourceNotFoundException("coverage backend is not proxied");
+    }
+
+    String format = backend.format;
+    if (format == null) {
+      format = coverageConfigForProject.getString("format");
+    }
+    String params = backend.params;
+    if (params == null) {
+      params =
+          Strings.isNullOrEmpty(format) || format.equals("json")
+              ? DEFAULT_JSON_PARAMS
+              : DEFAULT_REPORT_PARAMS;
+      if (coverageConfigForProject.getStringList("platform").length > 0) {
+        params += "&" + DEFAULT_PLATFORM_PARAM;
+      }
+    }
+    String url = expandUrlTemplate(backend.endpoint, project.getName());
+    params = expandUrlTemplate(params, project.getName());
+    if (!params.isEmpty()) {
+      url += (url.contains("?") ? "&" : "?") + params;
+    }
+    if (!url.startsWith("https://") && !url.startsWith("http://")) {
+      throw new BadRequestException("coverage backend is not an http(s) URL");
+    }
+
+    List<String> headers = backend.headers;
+    if (headers == null) {
+      headers = Arrays.asList(coverageConfigForProject.getStringList("headers"));
+    }
+    return fetch(url, headers);
+  }
+
+  // Finds the first backend whose host and project match the patchset, or makes up one from the
+  // top-level 'endpoint' setting.
+  private BackendConfig findBackend(
+      ProjectResource project, PluginConfig coverageConfigForProject) {
+    List<String> prefixes = new ArrayList<>(HOST_PREFIXES);
+    prefixes.addAll(Arrays.asList(coverageConfigForProject.getStringList("hostPrefix")));
+    String normalizedHost = host;
+    for (String prefix : prefixes) {
+      if (normalizedHost.startsWith(prefix)) {
+        normalizedHost = normalizedHost.substring(prefix.length());
+        break;
+      }
+    }
+
+    for (BackendConfig backend : GetConfig.getBackends(this.config, project)) {
+      if (!Strings.isNullOrEmpty(backend.endpoint)
+          && matches(backend.host, normalizedHost)
+          && matches(backend.project, project.getName())) {
+        return backend;
+      }
+    }
+
+    String endpoint = coverageConfigForProject.getString("endpoint", "");
+    if (endpoint.isEmpty()) {
+      return null;
+    }
+    BackendConfig backend = new BackendConfig();
+    backend.endpoint = endpoint;
+    return backend;
+  }
+
+  private static boolean matches(List<String> globs, String value) {
+    return globs.isEmpty()
+        || globs.stream().anyMatch((glob) -> globToPattern(glob.trim()).matcher(value).matches());
+  }
+
+  // Converts a glob to a pattern, as by globToRegExp of coverage.js.
+  private static Pattern globToPattern(String glob) {
+    if (glob.endsWith("/")) {
+      glob += "**";
+    }
+
+    StringBuilder pattern = new StringBuilder();
+    for (int i = 0; i < glob.length(); i++) {
+      char c = glob.charAt(i);
+      if (c == '*' && i + 1 < glob.length() && glob.charAt(i + 1) == '*') {
+        pattern.append(".*");
+        i++;
+      } else if (c == '*') {
+        pattern.append("[^/]*");
+      } else if (c == '?') {
+        pattern.append("[^/]");
+      } else {
+        pattern.append(Pattern.quote(String.valueOf(c)));
+      }
+    }
+    return Pattern.compile(pattern.toString());
+  }
+
+  // Expands a URL template with the info of the patchset, as by expandUrlTemplate of coverage.js.
+  private String expandUrlTemplate(String template, String projectName) {
+    Map<String, String> values = new HashMap<>();
+    values.put("host", host);
+    values.put("project", projectName);
+    values.put("change", change);
+    values.put("patchset", patchset);
+    values.put("platform", platform);
+    values.put("type", type);
+
+    Matcher matcher = TEMPLATE_PLACEHOLDER.matcher(template);
+    StringBuffer expanded = new StringBuffer();
+    while (matcher.find()) {
+      matcher.appendReplacement(
+          expanded, Matcher.quoteReplacement(encode(values.get(matcher.group(1)))));
+    }
+    matcher.appendTail(expanded);
+    return expanded.toString();
+  }
+
+  private static String encode(String value) {
+    try {
+      return URLEncoder.encode(value, UTF_8.name()).replace("+", "%20");
+    } catch (UnsupportedEncodingException e) {
+      throw new IllegalStateException(e);
+    }
+  }
+
+  // Fetches a URL with the "Name: value" headers of a backend, passing on the status, content type
+  // and body of the response.
+  private static Response<BinaryResult> fetch(String url, List<String> headers)
+      throws IOException {
+    HttpURLConnection connection = (HttpURLConnection) new URL(url).openConnection();
+    try {
+      connection.setConnectTimeout(TIMEOUT_MS);
+      connection.setReadTimeout(TIMEOUT_MS);
+      for (String header : headers) {
+        int separator = header.indexOf(':');
+        if (separator > 0) {
+          connection.setRequestProperty(
+              header.substring(0, separator).trim(), header.substring(separator + 1).trim());
+        }
+      }
+
+      int status = connection.getResponseCode();
+      byte[] body = new byte[0];
+      try (InputStream in =
+          status >= 400 ? connection.getErrorStream() : connection.getInputStream()) {
+        if (in != null) {
+          body = ByteStreams.toByteArray(in);
+        }
+      }
+      String contentType = connection.getContentType();
+      BinaryResult result =
+          BinaryResult.create(body)
+              .setContentType(contentType != null ? contentType : "application/octet-stream");
+      return Response.withStatusCode(status, result);
+    } finally {
+      connection.disconnect();
+    }
+  }
+}
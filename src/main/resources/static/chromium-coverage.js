@@ -4,7 +4,10 @@ Use of this source code is governed by a BSD-style license that can be
 found in the LICENSE file.
 */
 
+import './coverage-directory-view.js';
 import './coverage-percentage-views.js';
+import './coverage-reply-view.js';
+import './uncovered-navigator-view.js';
 import {CoverageClient} from './coverage.js';
 
 Gerrit.install(function(plugin) {
@@ -14,73 +17,237 @@ Gerrit.install(function(plugin) {
   const annotationApi = plugin.annotationApi();
   annotationApi.setCoverageProvider(coverageClient.provideCoverageRanges);
 
+  // Shows the execution counts of covered lines when hovering their line
+  // numbers.
+  annotationApi.addLayer(coverageClient.annotateHitCounts);
+
   // provideCoverageRanges is only called when user expands diff view, and
-  // to make sure coverage data can be fetched in time and show up
-  // reliably, prefetch the coverage data in advance.
+  // to make sure the percentages in the file list show up reliably, prefetch
+  // them in advance. The coverage ranges are fetched on the first expansion.
   plugin.on('showchange', coverageClient.prefetchCoverageRanges);
 
-  function onAttached(needsProvider=false) {
+  // Coverage data that is still being computed arrives after diffs are
+  // rendered, so re-annotate the line numbers of the files it covers.
+  coverageClient.addCoverageListener((coverageRanges, side) => {
+    for (const [path, ranges] of Object.entries(coverageRanges)) {
+      const lastLine = Math.max(
+          ...ranges.map((range) => range.code_range.end_line));
+      annotationApi.notify(path, 1, lastLine, side);
+    }
+  });
+
+  function onAttached(provider=null) {
     return async function(view) {
       view.shown = await coverageClient.showPercentageColumns();
 
-      if (needsProvider) {
-        view.provider = coverageClient.provideCoveragePercentages;
+      if (provider) {
+        view.provider = provider;
       }
     };
   }
-  // Displays coverage metrics on main page of the change.
+  // Keeps the columns of a view in sync with the coverage dimensions, as
+  // dimensions that only the coverage data has are known once it arrives,
+  // and with the selected platform, whose data is loaded once it is
+  // selected. Also keeps the status indicator and the platform selector of
+  // the header view in sync, while the view is attached.
+  const statusListeners = new WeakMap();
+  function onColumnsAttached(provider=null) {
+    return async function(view) {
+      const listener = async (status) => {
+        const isHeader = view.localName === 'coverage-header-view';
+        if (isHeader) {
+          view.status = status;
+        }
+        const {platforms, selected} = await coverageClient.providePlatforms();
+        if (isHeader &&
+            JSON.stringify(platforms) !== JSON.stringify(view.platforms)) {
+          view.platforms = platforms;
+        }
+        view.platform = selected;
+        view.dimensions = await coverageClient.provideCoverageDimensions();
+      };
+      statusListeners.set(view, listener);
+      coverageClient.addStatusListener(listener);
+      await listener(coverageClient.coverageData.status);
+      return onAttached(provider)(view);
+    };
+  }
+  function onViewDetached(view) {
+    coverageClient.removeStatusListener(statusListeners.get(view));
+    statusListeners.delete(view);
+  }
+
+  // Displays coverage metrics on main page of the change, a column per
+  // coverage dimension.
   //
   // See link below to understand how dynamic endpoint reflect in the UI.
   // https://screenshot.googleplex.com/4Df9pEDTsxmpCmi
   plugin.registerDynamicCustomComponent(
     'change-view-file-list-header',
-    'absolute-header-view').onAttached(onAttached());
-  plugin.registerDynamicCustomComponent(
-    'change-view-file-list-header',
-    'incremental-header-view').onAttached(onAttached());
-  plugin.registerDynamicCustomComponent(
-  'change-view-file-list-header',
-    'absolute-unit-tests-header-view').onAttached(onAttached());
-  plugin.registerDynamicCustomComponent(
-    'change-view-file-list-header',
-    'incremental-unit-tests-header-view').onAttached(onAttached());    
-
-  plugin.registerDynamicCustomComponent(
-    'change-view-file-list-content',
-    'absolute-content-view').onAttached(onAttached(true));
-  plugin.registerDynamicCustomComponent(
-    'change-view-file-list-content',
-    'incremental-content-view').onAttached(onAttached(true));
+    'coverage-header-view').onAttached(async (view) => {
+      // Lets the headers list the files ranked by their coverage.
+      view.rankingProvider = coverageClient.provideFileRanking;
+      view.platformSelector = coverageClient.selectPlatform;
+      return onColumnsAttached()(view);
+    }).onDetached(onViewDetached);
   plugin.registerDynamicCustomComponent(
     'change-view-file-list-content',
-    'absolute-unit-tests-content-view').onAttached(onAttached(true));
-  plugin.registerDynamicCustomComponent(
-    'change-view-file-list-content',
-    'incremental-unit-tests-content-view').onAttached(onAttached(true));
-
+    'coverage-content-view').onAttached(async (view) => {
+      // Colours the percentages by the heat map thresholds of the project.
+      view.thresholds = await coverageClient.getHeatMapThresholds();
+      return onColumnsAttached(coverageClient.provideCoveragePercentages)(
+          view);
+    }).onDetached(onViewDetached);
   plugin.registerDynamicCustomComponent(
     'change-view-file-list-summary',
-    'absolute-summary-view').onAttached(onAttached());
-  plugin.registerDynamicCustomComponent(
-    'change-view-file-list-summary',
-    'incremental-summary-view').onAttached(onAttached());
-  plugin.registerDynamicCustomComponent(
-    'change-view-file-list-summary',
-    'absolute-unit-tests-summary-view').onAttached(onAttached());
-  plugin.registerDynamicCustomComponent(
-    'change-view-file-list-summary',
-    'incremental-unit-tests-summary-view').onAttached(onAttached());
-  
-  // Displays warnings for low coverage.
-  const experiments = window.ENABLED_EXPERIMENTS || [];
-  if(experiments.includes("UiFeature__ci_reboot_checks_coverage")){
-    const checksApi = plugin.checks();
-    checksApi.register({
-      fetch: (changeData) =>
-        coverageClient.mayBeShowLowCoverageWarning(
-          changeData.changeNumber, changeData.patchsetNumber)
+    'coverage-summary-view').onAttached(
+        onColumnsAttached(coverageClient.provideCoverageSummary))
+        .onDetached(onViewDetached);
+
+  // Rolls the coverage of the change up into a tree of its directories, in a
+  // panel that follows the selected platform.
+  plugin.registerCustomComponent(
+    'change-view-integration',
+    'coverage-directory-view').onAttached(async (view) => {
+      view.provider = coverageClient.provideDirectoryCoverage;
+      view.thresholds = await coverageClient.getHeatMapThresholds();
+      const listener = async () => {
+        view.platform = (await coverageClient.providePlatforms()).selected;
+      };
+      statusListeners.set(view, listener);
+      coverageClient.addStatusListener(listener);
+      await listener();
+      view.shown = await coverageClient.showPercentageColumns();
+    }).onDetached(onViewDetached);
+
+  // Moves between the uncovered added lines of the change, in the change
+  // metadata and in the header of a diff, from its current line. Alt+] and
+  // Alt+[ go to the next and previous ones as well, as the plugin API has no
+  // way to register keyboard shortcuts.
+  const onNavigatorAttached = async (view) => {
+    view.navigator = coverageClient.navigateToUncoveredLines;
+    view.locator = () => coverageClient.parseDiffLocation(window.location);
+    view.shown = await coverageClient.showPercentageColumns();
+  };
+  plugin.registerCustomComponent(
+    'change-metadata-item',
+    'uncovered-navigator-view').onAttached(onNavigatorAttached);
+  plugin.registerCustomComponent(
+    'annotation-toggler',
+    'uncovered-navigator-view').onAttached(onNavigatorAttached);
+
+  // Whether coverage is shown for each project, looked up ahead of the key
+  // presses, as the default of a key press can only be prevented before
+  // awaiting anything.
+  const shownProjects = new Map();
+  function lookUpShown(project) {
+    if (!shownProjects.has(project)) {
+      shownProjects.set(project, coverageClient.showPercentageColumns());
+      shownProjects.get(project).then((shown) => {
+        shownProjects.set(project, shown);
+      });
+    }
+    return shownProjects.get(project);
+  }
+  plugin.on('showchange', (change) => lookUpShown(change.project));
+  document.addEventListener('keydown', async (e) => {
+    const directions = {BracketLeft: 'previous', BracketRight: 'next'};
+    if (!e.altKey || e.ctrlKey || e.metaKey || !directions[e.code]) {
+      return;
+    }
+    const target = e.composedPath()[0];
+    if (target && (target.isContentEditable ||
+                   ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+      return;
+    }
+    const location = coverageClient.parseDiffLocation(window.location);
+    if (!location) {
+      return;
+    }
+
+    // Leaves the key press to the browser and other handlers unless coverage
+    // is known to be shown.
+    const shown = lookUpShown(location.project);
+    if (shown === true) {
+      e.preventDefault();
+    } else if (!(await shown)) {
+      return;
+    }
+    coverageClient.navigateToUncoveredLines(location, directions[e.code]);
+  });
+
+  // Drafts a summary of the incremental coverage of the change in the reply
+  // dialog, for reviewers to ask for tests of the uncovered added lines.
+  plugin.registerCustomComponent(
+    'reply-text',
+    'coverage-reply-view').onAttached(async (view) => {
+      view.provider = coverageClient.provideReplySummary;
+      view.shown = await coverageClient.showPercentageColumns();
     });
+
+  // Lets users download the coverage of the current patchset, from the
+  // overflow menu of the change actions of projects that have coverage. The
+  // actions are added once the change view, which holds them, is shown.
+  const exportFormats = {
+    csv: 'Download coverage (CSV)',
+    json: 'Download coverage (JSON)',
+    markdown: 'Download coverage (Markdown)',
+  };
+  let exportActionKeys = null;
+  let shownRevision = null;
+  function downloadCoverage(format) {
+    return async () => {
+      if (!shownRevision) {
+        return;
+      }
+
+      const file = await coverageClient.provideCoverageExport(
+          shownRevision.change._number, shownRevision.revision._number,
+          format);
+      if (!file) {
+        document.dispatchEvent(new CustomEvent('show-alert', {
+          detail: {message: 'Code coverage is not available'},
+          bubbles: true,
+          composed: true,
+        }));
+        return;
+      }
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(
+          new Blob([file.content], {type: file.mimeType}));
+      link.download = file.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href));
+    };
   }
+  plugin.on('showchange', async (change, revision) => {
+    shownRevision = {change, revision};
+    if (!plugin.changeActions) {
+      return;
+    }
 
+    const changeActions = plugin.changeActions();
+    const type = changeActions.ActionType.REVISION;
+    if (!exportActionKeys) {
+      exportActionKeys = Object.entries(exportFormats).map(
+          ([format, label]) => {
+            const key = changeActions.add(type, label);
+            changeActions.setActionOverflow(type, key, true);
+            changeActions.setActionHidden(type, key, true);
+            changeActions.addTapListener(key, downloadCoverage(format));
+            return key;
+          });
+    }
+    const shown = await coverageClient.showPercentageColumns();
+    for (const key of exportActionKeys) {
+      changeActions.setActionHidden(type, key, !shown);
+    }
+  });
 
+  // Displays warnings for low coverage in the checks tab, for projects that
+  // turn it on.
+  if (plugin.checks) {
+    plugin.checks().register({fetch: coverageClient.provideChecks});
+  }
 });
@@ -0,0 +1,207 @@
+// Copyright 2020 The Chromium Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+// Default maximum number of patchsets whose coverage data is kept in memory.
+const DEFAULT_MAX_ENTRIES = 20;
+
+// Default time in milliseconds after which coverage data kept in memory is
+// fetched again.
+const DEFAULT_MAX_AGE = 60 * 60 * 1000;
+
+// Name of the IndexedDB database and of its object store in which coverage
+// data is persisted.
+const DB_NAME = 'code-coverage';
+const STORE_NAME = 'coverage';
+
+/**
+ * Gets the key of the coverage data of a patchset in the caches.
+ * @param {object} changeInfo Has host, project, changeNum and patchNum, and
+ *     optionally the platform of the data.
+ * @return {string}
+ */
+export function getCacheKey(changeInfo) {
+  const parts = [
+    changeInfo.host,
+    changeInfo.project,
+    changeInfo.changeNum,
+    changeInfo.patchNum,
+  ];
+  if (changeInfo.platform) {
+    parts.push(changeInfo.platform);
+  }
+  return parts.map(encodeURIComponent).join('/');
+}
+
+/**
+ * Converts an IndexedDB request to a promise.
+ * @param {IDBRequest} request The request.
+ * @return {promise} Resolves to the result of the request.
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Keeps the coverage data of the most recently used patchsets in memory.
+ */
+export class CoverageCache {
+  /**
+   * @param {number} maxEntries The maximum number of patchsets to keep.
+   * @param {number} maxAge The time in milliseconds after which the data of a
+   *     patchset is dropped.
+   */
+  constructor(maxEntries=DEFAULT_MAX_ENTRIES, maxAge=DEFAULT_MAX_AGE) {
+    this.maxEntries = maxEntries;
+    this.maxAge = maxAge;
+
+    // Map of cache keys to objects that have 'value' and 'time' properties,
+    // from the least to the most recently used.
+    this.entries = new Map();
+  }
+
+  /**
+   * Gets the data of a patchset, marking it as the most recently used.
+   * @param {string} key The cache key of the patchset, see getCacheKey.
+   * @return {*} Returns undefined if the data is not cached or too old.
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (Date.now() - entry.time > this.maxAge) {
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Sets the data of a patchset, dropping the least recently used patchsets
+   * beyond the maximum number of patchsets.
+   * @param {string} key The cache key of the patchset, see getCacheKey.
+   * @param {*} value The data.
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, {value, time: Date.now()});
+    for (const oldestKey of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Drops the data of a patchset.
+   * @param {string} key The cache key of the patchset, see getCacheKey.
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Persists the coverage data of patchsets in IndexedDB, so that it survives
+ * reloads. As the coverage data of a patchset never changes once computed,
+ * it is only dropped when it gets too old.
+ */
+export class PersistentCoverageStore {
+  /**
+   * @param {number} maxAge The time in milliseconds after which persisted
+   *     data is dropped.
+   * @param {string} dbName The name of the database, optional.
+   */
+  constructor(maxAge, dbName=DB_NAME) {
+    this.maxAge = maxAge;
+    this.dbName = dbName;
+
+    // Used to indicate an async opening of the database, and it is expected
+    // to be resolved to an IDBDatabase.
+    this.dbPromise = null;
+  }
+
+  /**
+   * Opens the database, dropping the data that is too old.
+   * @return {promise} Resolves to the database.
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.dbPromise.then((db) => this.prune(db)).catch((error) => {
+        console.warn(error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Gets persisted data.
+   * @param {string} key The key of the data, such as a cache key of a
+   *     patchset and the type of the data.
+   * @return {promise} Resolves to the data, or undefined if the data is not
+   *     persisted or too old.
+   */
+  async get(key) {
+    const db = await this.open();
+    const record = await requestToPromise(db.transaction(STORE_NAME)
+        .objectStore(STORE_NAME).get(key));
+    if (!record || Date.now() - record.time > this.maxAge) {
+      return undefined;
+    }
+
+    return record.data;
+  }
+
+  /**
+   * Persists data.
+   * @param {string} key The key of the data.
+   * @param {*} data The data, which must be cloneable.
+   * @return {promise} Resolves once the data is persisted.
+   */
+  async put(key, data) {
+    const db = await this.open();
+    await requestToPromise(db.transaction(STORE_NAME, 'readwrite')
+        .objectStore(STORE_NAME).put({data, time: Date.now()}, key));
+  }
+
+  /**
+   * Drops the data that is too old.
+   * @param {IDBDatabase} db The database.
+   * @return {promise} Resolves once the data is dropped.
+   */
+  prune(db) {
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(STORE_NAME, 'readwrite')
+          .objectStore(STORE_NAME).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        if (Date.now() - cursor.value.time > this.maxAge) {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
@@ -0,0 +1,226 @@
+/*
+Copyright 2020 The Chromium Authors. All rights reserved.
+Use of this source code is governed by a BSD-style license that can be
+found in the LICENSE file.
+*/
+
+import './styles.js';
+import {
+  computeCountsText,
+  computeHeatClass,
+} from './coverage-percentage-views.js';
+
+// Types of coverage shown for each directory and file of the tree.
+const DIRECTORY_COVERAGE_TYPES = ['absolute', 'incremental'];
+
+// Percentages of a directory or file of the tree, see
+// rollUpCoverageByDirectory of coverage-summaries.js for the coverage of an
+// entry.
+const PERCENTAGES_TEMPLATE = Polymer.html`
+  <template is="dom-repeat" items="[[_computePercentages(entry.coverage, thresholds)]]" as="percentage">
+    <span class$="coverage-directory-percentage [[percentage.heatClass]]" title$="[[percentage.countsText]]">[[percentage.text]]</span>
+  </template>
+`;
+
+/** Base class of the entries of the directory tree */
+class BaseDirectoryEntry extends Polymer.Element {
+  static get properties() {
+    return {
+      // A directory or file, see rollUpCoverageByDirectory of
+      // coverage-summaries.js.
+      entry: Object,
+      // See CoverageClient.getHeatMapThresholds.
+      thresholds: {
+        type: Object,
+        value: null,
+      },
+    };
+  }
+
+  _computePercentages(coverage, thresholds) {
+    return DIRECTORY_COVERAGE_TYPES.map((type) => {
+      const percentage = coverage && coverage[type];
+      const counts = (coverage && coverage.counts &&
+                      coverage.counts[type]) || null;
+      const text = percentage != null ? `${percentage}%` : '-';
+      return {
+        text,
+        heatClass: computeHeatClass(type, text, counts, thresholds),
+        countsText: computeCountsText(type, counts),
+      };
+    });
+  }
+}
+
+/**
+ * A directory of the directory tree, whose subdirectories and files are
+ * listed once it is expanded.
+ */
+class CoverageDirectoryNode extends BaseDirectoryEntry {
+  static get template() {
+    return Polymer.html`
+      <style include="coverage-column-styles"></style>
+      <div class="coverage-directory-row" hidden$="[[root]]">
+        <button class="coverage-directory-toggle" title$="[[entry.path]]" on-click="_toggle"><span class="coverage-directory-icon">[[_computeToggleIcon(expanded)]]</span>[[entry.name]]</button>
+        ${PERCENTAGES_TEMPLATE}
+      </div>
+      <div class$="[[_computeChildrenClass(root)]]">
+        <template is="dom-if" if="[[_isExpanded(root, expanded)]]">
+          <template is="dom-repeat" items="[[entry.directories]]" as="subdirectory">
+            <coverage-directory-node entry="[[subdirectory]]" thresholds="[[thresholds]]"></coverage-directory-node>
+          </template>
+          <template is="dom-repeat" items="[[entry.files]]" as="file">
+            <coverage-directory-file entry="[[file]]" thresholds="[[thresholds]]"></coverage-directory-file>
+          </template>
+        </template>
+      </div>
+    `;
+  }
+
+  static get is() {
+    return 'coverage-directory-node';
+  }
+
+  static get properties() {
+    return {
+      expanded: {
+        type: Boolean,
+        value: false,
+      },
+      // The root directory has no row of its own and is always expanded.
+      root: {
+        type: Boolean,
+        value: false,
+      },
+    };
+  }
+
+  _toggle() {
+    this.expanded = !this.expanded;
+  }
+
+  _computeToggleIcon(expanded) {
+    return expanded ? '▾' : '▸';
+  }
+
+  _computeChildrenClass(root) {
+    return root ? 'coverage-directory-children root' :
+        'coverage-directory-children';
+  }
+
+  _isExpanded(root, expanded) {
+    return root || expanded;
+  }
+}
+customElements.define(CoverageDirectoryNode.is, CoverageDirectoryNode);
+
+/** A file of the directory tree, linking to its diff */
+class CoverageDirectoryFile extends BaseDirectoryEntry {
+  static get template() {
+    return Polymer.html`
+      <style include="coverage-column-styles"></style>
+      <div class="coverage-directory-row">
+        <a class="coverage-directory-file" href$="[[entry.url]]" title$="[[entry.path]]">[[entry.name]]</a>
+        ${PERCENTAGES_TEMPLATE}
+      </div>
+    `;
+  }
+
+  static get is() {
+    return 'coverage-directory-file';
+  }
+}
+customElements.define(CoverageDirectoryFile.is, CoverageDirectoryFile);
+
+/**
+ * Panel of the change view with the coverage of the change rolled up into a
+ * collapsible tree of its directories.
+ */
+class CoverageDirectoryView extends Polymer.Element {
+  static get template() {
+    return Polymer.html`
+      <style include="coverage-column-styles"></style>
+      <div class="coverage-directories" hidden$="[[!shown]]">
+        <div class="coverage-directory-row header">
+          <button class="coverage-directory-toggle" on-click="_toggle"><span class="coverage-directory-icon">[[_computeToggleIcon(expanded)]]</span>Coverage by directory</button>
+          <span class="coverage-directory-percentage" title="Absolute coverage percentage of the files under the directory">|Cov|</span>
+          <span class="coverage-directory-percentage" title="Incremental coverage percentage of the new lines under the directory">ΔCov</span>
+        </div>
+        <template is="dom-if" if="[[expanded]]">
+          <div class="coverage-directories-message">[[message]]</div>
+          <coverage-directory-node root entry="[[tree]]" thresholds="[[thresholds]]" hidden$="[[!tree]]"></coverage-directory-node>
+        </template>
+      </div>
+    `;
+  }
+
+  static get is() {
+    return 'coverage-directory-view';
+  }
+
+  static get properties() {
+    return {
+      shown: {
+        type: Boolean,
+        value: false,
+      },
+      change: Object,
+      revision: Object,
+      // See CoverageClient.provideDirectoryCoverage.
+      provider: Function,
+      // See CoverageClient.selectPlatform.
+      platform: String,
+      // See CoverageClient.getHeatMapThresholds.
+      thresholds: {
+        type: Object,
+        value: null,
+      },
+      // The tree is only computed once the panel is expanded.
+      expanded: {
+        type: Boolean,
+        value: false,
+      },
+      tree: {
+        type: Object,
+        value: null,
+      },
+      message: {
+        type: String,
+        value: '',
+      },
+    };
+  }
+
+  static get observers() {
+    return [
+      '_computeTree(change, revision, provider, platform, expanded)',
+    ];
+  }
+
+  async _computeTree(change, revision, provider, platform, expanded) {
+    this.tree = null;
+    if (!change || !revision || !provider || !expanded) {
+      return;
+    }
+
+    this.message = 'Loading…';
+    const tree = await provider(change._number, revision._number);
+    if (!tree) {
+      this.message = 'Not available';
+    } else if (tree.directories.length == 0 && tree.files.length == 0) {
+      this.message = 'No files';
+    } else {
+      this.message = '';
+      this.tree = tree;
+    }
+  }
+
+  _toggle() {
+    this.expanded = !this.expanded;
+  }
+
+  _computeToggleIcon(expanded) {
+    return expanded ? '▾' : '▸';
+  }
+}
+customElements.define(CoverageDirectoryView.is, CoverageDirectoryView);
@@ -6,6 +6,85 @@ found in the LICENSE file.
 
 import './styles.js';
 
+// Dict of states of the coverage data, see CoverageClient.getCoverageStatus,
+// and corresponding icons of the status indicator. No icon is shown once the
+// data is ready, so that a '-' in a column means that the file has no
+// coverage.
+const STATUS_ICONS = {
+  'loading': '…',
+  'pending': '⧗',
+  'not-configured': '⚙',
+  'unsupported': '⊘',
+  'disabled': '⏸',
+  'sign-in': '🔒',
+  'failed': '⚠',
+};
+
+// Popover of the header views that rank the files of the change by coverage,
+// as plugins can't reorder the file list itself.
+const RANKING_TEMPLATE = Polymer.html`
+  <button class="coverage-ranking-toggle" title="List files by coverage" hidden$="[[!_isRankingAvailable(shown, rankingProvider)]]" on-click="_toggleRanking">⇅</button>
+  <div class="coverage-ranking" hidden$="[[!rankingShown]]">
+    <label>Under <input type="number" min="0" max="100" placeholder="100" value="{{maxPercentage::input}}">%</label>
+    <template is="dom-repeat" items="[[_filterRanking(ranking, maxPercentage)]]" as="file">
+      <a href$="[[file.url]]" title$="[[file.path]]"><span class="coverage-ranking-percentage">[[file.percentage]]%</span>[[file.path]]</a>
+    </template>
+    <div class="coverage-ranking-message">[[_computeRankingMessage(ranking, maxPercentage)]]</div>
+  </div>
+`;
+
+/**
+ * Colours a percentage by how it compares to the thresholds. The exact
+ * counts are used if known, so that a rounded 100% of a file with uncovered
+ * lines is not coloured as fully covered.
+ * @param {string} type The type of coverage, such as 'incremental'.
+ * @param {string} percentageText The percentage shown.
+ * @param {object} counts The covered and total counts, optional.
+ * @param {object} thresholds The 'low' and 'high' thresholds, optional.
+ * @return {string} Returns the classes of the percentage.
+ */
+export function computeHeatClass(type, percentageText, counts, thresholds) {
+  const percentage = counts ? counts.covered * 100 / counts.total :
+      parseFloat(percentageText);
+  if (isNaN(percentage)) {
+    return 'coverage-heat';
+  }
+
+  const classes = ['coverage-heat'];
+  if (thresholds) {
+    if (percentage < thresholds.low) {
+      classes.push('low');
+    } else if (percentage < thresholds.high) {
+      classes.push('medium');
+    } else {
+      classes.push('high');
+    }
+  }
+  // Added lines none of which is covered stand out even without colours.
+  if ((type || '').startsWith('incremental') && counts && counts.total > 0 &&
+      counts.covered == 0) {
+    classes.push('uncovered');
+  }
+  return classes.join(' ');
+}
+
+/**
+ * Describes the counts a percentage is computed from.
+ * @param {string} type The type of coverage, such as 'incremental'.
+ * @param {object} counts The covered and total counts, optional.
+ * @return {string} Returns text such as "3 / 4 added lines covered".
+ */
+export function computeCountsText(type, counts) {
+  if (!counts) {
+    return '';
+  }
+
+  type = type || '';
+  const unit = type === 'branch' ? 'branches' :
+      type.startsWith('incremental') ? 'added lines' : 'lines';
+  return `${counts.covered} / ${counts.total} ${unit} covered`;
+}
+
 /** Base class for all components */
 class BaseComponent extends Polymer.Element {
   static get properties() {
@@ -37,211 +116,404 @@ class BaseCoverageComponent extends BaseComponent {
       patchRange: Object,
       path: String,
       provider: Function,
+      // The platform of the coverage data, see
+      // CoverageClient.selectPlatform.
+      platform: String,
       percentageText: String,
+      deltaText: String,
+      deltaClass: String,
       type: String,
+      // The covered and total counts of the percentage, if known.
+      counts: {
+        type: Object,
+        value: null,
+      },
+      // See CoverageClient.getHeatMapThresholds, null to not colour the
+      // percentage.
+      thresholds: {
+        type: Object,
+        value: null,
+      },
     };
   }
 
   static get observers() {
     return [
-      '_computePercentage(changeNum, patchRange, path, provider)',
+      '_computePercentage(changeNum, patchRange, path, provider, platform)',
     ];
   }
 
   async _computePercentage(changeNum, patchRange, path, provider) {
     this.percentageText = '-';
+    this.deltaText = '';
+    this.deltaClass = 'coverage-delta';
+    this.counts = null;
     if (!changeNum || !patchRange || !path || !provider) {
       return;
     }
 
-    const p = await provider(changeNum, path, patchRange.patchNum);
-    if (p && p[this.type]) {
+    const p = await provider(changeNum, path, patchRange.patchNum,
+                             patchRange.basePatchNum);
+    if (p && p[this.type] != null) {
       this.percentageText = p[this.type] + '%';
+      this.counts = (p.counts && p.counts[this.type]) || null;
+      if (p.base && p.base[this.type] != null) {
+        this._computeDelta(p[this.type] - p.base[this.type]);
+      }
     }
   }
-}
 
-class AbsoluteUnitTestsHeaderView extends BaseComponent {
-  static get template() {
-    return Polymer.html`
-      <style include="coverage-column-styles"></style>
-      <div class$="[[_computeCoverageClass(shown)]]" title="Absolute coverage percentage(Unit Tests) of the whole file">|Cov|(U)</div>
-    `;
+  _computeHeatClass(percentageText, counts, thresholds) {
+    return computeHeatClass(this.type, percentageText, counts, thresholds);
   }
 
-  static get is() {
-    return 'absolute-unit-tests-header-view';
+  _computeCountsText(counts) {
+    return computeCountsText(this.type, counts);
+  }
+
+  /**
+   * Shows the change of the percentage relative to the base patchset.
+   * @param {number} delta The difference in percentage points.
+   */
+  _computeDelta(delta) {
+    if (delta > 0) {
+      this.deltaText = `(+${delta})`;
+      this.deltaClass = 'coverage-delta increased';
+    } else if (delta < 0) {
+      this.deltaText = `(${delta})`;
+      this.deltaClass = 'coverage-delta decreased';
+    } else {
+      this.deltaText = '(±0)';
+    }
   }
 }
-customElements.define(AbsoluteUnitTestsHeaderView.is, AbsoluteUnitTestsHeaderView);
 
-class IncrementalUnitTestsHeaderView extends BaseComponent {
-  static get template() {
-    return Polymer.html`
-      <style include="coverage-column-styles"></style>
-      <div class$="[[_computeCoverageClass(shown)]]" title="Incremental coverage percentage(Unit Tests) of new lines in the file">ΔCov(U)</div>
-    `;
+/** Base class for the components summarizing coverage of the change */
+class BaseSummaryComponent extends BaseComponent {
+  static get properties() {
+    return {
+      shown: {
+        type: Boolean,
+        value: false,
+      },
+      change: Object,
+      patchRange: Object,
+      provider: Function,
+      // The platform of the coverage data, see
+      // CoverageClient.selectPlatform.
+      platform: String,
+      percentageText: String,
+      countsText: String,
+      type: String,
+    };
   }
 
-  static get is() {
-    return 'incremental-unit-tests-header-view';
+  static get observers() {
+    return [
+      '_computeSummary(change, patchRange, provider, platform)',
+    ];
+  }
+
+  async _computeSummary(change, patchRange, provider) {
+    this.percentageText = '';
+    this.countsText = '';
+    if (!change || !patchRange || !provider) {
+      return;
+    }
+
+    const p = await provider(change._number, patchRange.patchNum);
+    if (p && p[this.type] != null) {
+      const counts = p.counts && p.counts[this.type];
+      this.percentageText = p[this.type] + '%';
+      this.countsText = computeCountsText(this.type, counts);
+    }
   }
 }
-customElements.define(IncrementalUnitTestsHeaderView.is, IncrementalUnitTestsHeaderView);
 
-class AbsoluteHeaderView extends BaseComponent {
-  static get template() {
-    return Polymer.html`
-      <style include="coverage-column-styles"></style>
-      <div class$="[[_computeCoverageClass(shown)]]" title="Absolute coverage percentage(All Tests) of the whole file">|Cov|</div>
-    `;
+/**
+ * Base class for the header components that can list the files of the change
+ * ranked by their type of coverage.
+ */
+class BaseRankingHeaderComponent extends BaseComponent {
+  static get properties() {
+    return {
+      shown: {
+        type: Boolean,
+        value: false,
+      },
+      change: Object,
+      patchRange: Object,
+      // See CoverageClient.provideFileRanking.
+      rankingProvider: Function,
+      ranking: {
+        type: Array,
+        value: null,
+      },
+      rankingShown: {
+        type: Boolean,
+        value: false,
+      },
+      // Only files whose coverage is under this percentage are listed, if
+      // set.
+      maxPercentage: {
+        type: String,
+        value: '',
+      },
+      type: String,
+    };
   }
 
-  static get is() {
-    return 'absolute-header-view';
+  _isRankingAvailable(shown, rankingProvider) {
+    return !!(shown && rankingProvider);
+  }
+
+  async _toggleRanking() {
+    this.rankingShown = !this.rankingShown;
+    if (!this.rankingShown || !this.change || !this.patchRange) {
+      return;
+    }
+
+    this.ranking = null;
+    this.ranking = (await this.rankingProvider(
+        this.change._number, this.patchRange.patchNum, this.type,
+        this.patchRange.basePatchNum)) || [];
+  }
+
+  _filterRanking(ranking, maxPercentage) {
+    const max = parseFloat(maxPercentage);
+    if (!ranking || isNaN(max)) {
+      return ranking || [];
+    }
+
+    return ranking.filter((file) => {
+      const percentage = file.counts ?
+          file.counts.covered * 100 / file.counts.total : file.percentage;
+      return percentage < max;
+    });
+  }
+
+  _computeRankingMessage(ranking, maxPercentage) {
+    if (!ranking) {
+      return 'Loading…';
+    }
+
+    const count = this._filterRanking(ranking, maxPercentage).length;
+    if (count == 0) {
+      return 'No files';
+    }
+    return count < ranking.length ? `${count} of ${ranking.length} files` :
+        `${count} files`;
   }
 }
-customElements.define(AbsoluteHeaderView.is, AbsoluteHeaderView);
 
-class IncrementalHeaderView extends BaseComponent {
+/** Header of the column of a coverage dimension */
+class CoverageHeaderColumn extends BaseRankingHeaderComponent {
   static get template() {
     return Polymer.html`
       <style include="coverage-column-styles"></style>
-      <div class$="[[_computeCoverageClass(shown)]]" title="Incremental coverage percentage(All Tests) of new lines in the file">ΔCov</div>
+      <div class$="[[_computeCoverageClass(shown)]]" title$="[[description]]">[[label]]</div>
+      ${RANKING_TEMPLATE}
     `;
   }
 
   static get is() {
-    return 'incremental-header-view';
+    return 'coverage-header-column';
+  }
+
+  static get properties() {
+    return {
+      label: String,
+      description: String,
+    };
   }
 }
-customElements.define(IncrementalHeaderView.is, IncrementalHeaderView);
+customElements.define(CoverageHeaderColumn.is, CoverageHeaderColumn);
 
-class AbsoluteUnitTestsContentView extends BaseCoverageComponent {
+/** Percentage of a coverage dimension for a file */
+class CoverageContentColumn extends BaseCoverageComponent {
   static get template() {
     return Polymer.html`
        <style include="coverage-column-styles"></style>
-       <div class$="[[_computeCoverageClass(shown)]]">[[percentageText]]</div>
+       <div class$="[[_computeCoverageClass(shown)]]"><span class$="[[_computeHeatClass(percentageText, counts, thresholds)]]" title$="[[_computeCountsText(counts)]]">[[percentageText]]</span><span class$="[[deltaClass]]" title="Change relative to the base patchset">[[deltaText]]</span></div>
      `;
   }
 
   static get is() {
-    return 'absolute-unit-tests-content-view';
-  }
-
-  static get properties() {
-    return {type: {type: String, value: 'absolute_unit_tests', readOnly: true}};
+    return 'coverage-content-column';
   }
 }
-customElements.define(AbsoluteUnitTestsContentView.is, AbsoluteUnitTestsContentView);
+customElements.define(CoverageContentColumn.is, CoverageContentColumn);
 
-class IncrementalUnitTestsContentView extends BaseCoverageComponent {
+/** Percentage of a coverage dimension for the whole change */
+class CoverageSummaryColumn extends BaseSummaryComponent {
   static get template() {
     return Polymer.html`
        <style include="coverage-column-styles"></style>
-       <div class$="[[_computeCoverageClass(shown)]]">[[percentageText]]</div>
-     `;
+       <div class$="[[_computeCoverageClass(shown)]]" title="[[countsText]]">[[percentageText]]</div>
+    `;
   }
 
   static get is() {
-    return 'incremental-unit-tests-content-view';
-  }
-
-  static get properties() {
-    return {type: {type: String, value: 'incremental_unit_tests', readOnly: true}};
+    return 'coverage-summary-column';
   }
 }
-customElements.define(IncrementalUnitTestsContentView.is, IncrementalUnitTestsContentView);
-
-class AbsoluteContentView extends BaseCoverageComponent {
+customElements.define(CoverageSummaryColumn.is, CoverageSummaryColumn);
+
+/**
+ * Headers of the coverage columns, one per coverage dimension, which also
+ * indicate the status of the coverage data of the patchset and select the
+ * platform of the data.
+ */
+class CoverageHeaderView extends BaseComponent {
   static get template() {
     return Polymer.html`
-       <style include="coverage-column-styles"></style>
-       <div class$="[[_computeCoverageClass(shown)]]">[[percentageText]]</div>
-     `;
+      <style include="coverage-column-styles"></style>
+      <div class="coverage-columns" hidden$="[[!shown]]">
+        <span class="coverage-indicators">
+          <select class="coverage-platform" title="Platform of the coverage data" hidden$="[[!_hasPlatforms(platforms)]]" on-change="_selectPlatform">
+            <template is="dom-repeat" items="[[platforms]]" as="option">
+              <option value="[[option.name]]" selected$="[[_isSelected(option.name, platform)]]">[[option.label]]</option>
+            </template>
+          </select>
+          <a class$="[[_computeStatusClass(status)]]" href$="[[_computeStatusLink(status)]]" target="_blank" title$="[[_computeStatusTitle(status)]]">[[_computeStatusIcon(status)]]</a>
+        </span>
+        <template is="dom-repeat" items="[[dimensions]]" as="dimension">
+          <coverage-header-column shown="[[shown]]" type="[[dimension.type]]" label="[[dimension.label]]" description="[[dimension.description]]" change="[[change]]" patch-range="[[patchRange]]" ranking-provider="[[rankingProvider]]"></coverage-header-column>
+        </template>
+      </div>
+    `;
   }
 
   static get is() {
-    return 'absolute-content-view';
+    return 'coverage-header-view';
   }
 
   static get properties() {
-    return {type: {type: String, value: 'absolute', readOnly: true}};
+    return {
+      change: Object,
+      patchRange: Object,
+      // See CoverageClient.provideFileRanking.
+      rankingProvider: Function,
+      // See CoverageClient.getCoverageDimensions.
+      dimensions: {
+        type: Array,
+        value: () => [],
+      },
+      // See CoverageClient.coverageData.status.
+      status: {
+        type: Object,
+        value: null,
+      },
+      // See CoverageClient.providePlatforms.
+      platforms: {
+        type: Array,
+        value: () => [],
+      },
+      platform: String,
+      // See CoverageClient.selectPlatform.
+      platformSelector: Function,
+    };
   }
-}
-customElements.define(AbsoluteContentView.is, AbsoluteContentView);
 
-class IncrementalContentView extends BaseCoverageComponent {
-  static get template() {
-    return Polymer.html`
-       <style include="coverage-column-styles"></style>
-       <div class$="[[_computeCoverageClass(shown)]]">[[percentageText]]</div>
-     `;
+  _hasPlatforms(platforms) {
+    return !!(platforms && platforms.length > 0);
   }
 
-  static get is() {
-    return 'incremental-content-view';
+  _isSelected(name, platform) {
+    return name === platform;
   }
 
-  static get properties() {
-    return {type: {type: String, value: 'incremental', readOnly: true}};
+  _selectPlatform(e) {
+    this.platform = e.target.value;
+    if (this.platformSelector) {
+      this.platformSelector(this.platform);
+    }
   }
-}
-customElements.define(IncrementalContentView.is, IncrementalContentView);
 
-class AbsoluteUnitTestsSummaryView extends BaseComponent {
-  static get template() {
-    return Polymer.html`
-       <style include="coverage-column-styles"></style>
-       <div class$="[[_computeCoverageClass(shown)]]"></div>
-    `;
+  _computeStatusIcon(status) {
+    return (status && STATUS_ICONS[status.state]) || '';
   }
 
-  static get is() {
-    return 'absolute-unit-tests-summary-view';
+  _computeStatusClass(status) {
+    return status ? `coverage-status ${status.state}` : 'coverage-status';
   }
-}
-customElements.define(AbsoluteUnitTestsSummaryView.is, AbsoluteUnitTestsSummaryView);
 
-class IncrementalUnitTestsSummaryView extends BaseComponent {
-  static get template() {
-    return Polymer.html`
-       <style include="coverage-column-styles"></style>
-       <div class$="[[_computeCoverageClass(shown)]]"></div>
-    `;
+  _computeStatusTitle(status) {
+    return status && status.state !== 'ready' ? status.message : '';
   }
 
-  static get is() {
-    return 'incremental-unit-tests-summary-view';
+  _computeStatusLink(status) {
+    return (status && status.link) || undefined;
   }
 }
-customElements.define(IncrementalUnitTestsSummaryView.is, IncrementalUnitTestsSummaryView);
+customElements.define(CoverageHeaderView.is, CoverageHeaderView);
 
-class AbsoluteSummaryView extends BaseComponent {
+/** Coverage columns of a file, one per coverage dimension */
+class CoverageContentView extends BaseComponent {
   static get template() {
     return Polymer.html`
-       <style include="coverage-column-styles"></style>
-       <div class$="[[_computeCoverageClass(shown)]]"></div>
+      <template is="dom-repeat" items="[[dimensions]]" as="dimension">
+        <coverage-content-column shown="[[shown]]" type="[[dimension.type]]" change-num="[[changeNum]]" patch-range="[[patchRange]]" path="[[path]]" provider="[[provider]]" platform="[[platform]]" thresholds="[[thresholds]]"></coverage-content-column>
+      </template>
     `;
   }
 
   static get is() {
-    return 'absolute-summary-view';
+    return 'coverage-content-view';
+  }
+
+  static get properties() {
+    return {
+      changeNum: String,
+      patchRange: Object,
+      path: String,
+      // See CoverageClient.provideCoveragePercentages.
+      provider: Function,
+      // See CoverageClient.selectPlatform.
+      platform: String,
+      // See CoverageClient.getHeatMapThresholds.
+      thresholds: {
+        type: Object,
+        value: null,
+      },
+      // See CoverageClient.getCoverageDimensions.
+      dimensions: {
+        type: Array,
+        value: () => [],
+      },
+    };
   }
 }
-customElements.define(AbsoluteSummaryView.is, AbsoluteSummaryView);
+customElements.define(CoverageContentView.is, CoverageContentView);
 
-class IncrementalSummaryView extends BaseComponent {
+/** Coverage columns of the whole change, one per coverage dimension */
+class CoverageSummaryView extends BaseComponent {
   static get template() {
     return Polymer.html`
-       <style include="coverage-column-styles"></style>
-       <div class$="[[_computeCoverageClass(shown)]]"></div>
+      <template is="dom-repeat" items="[[dimensions]]" as="dimension">
+        <coverage-summary-column shown="[[shown]]" type="[[dimension.type]]" change="[[change]]" patch-range="[[patchRange]]" provider="[[provider]]" platform="[[platform]]"></coverage-summary-column>
+      </template>
     `;
   }
 
   static get is() {
-    return 'incremental-summary-view';
+    return 'coverage-summary-view';
   }
-}
-customElements.define(IncrementalSummaryView.is, IncrementalSummaryView);
 
+  static get properties() {
+    return {
+      change: Object,
+      patchRange: Object,
+      // See CoverageClient.provideCoverageSummary.
+      provider: Function,
+      // See CoverageClient.selectPlatform.
+      platform: String,
+      // See CoverageClient.getCoverageDimensions.
+      dimensions: {
+        type: Array,
+        value: () => [],
+      },
+    };
+  }
+}
+customElements.define(CoverageSummaryView.is, CoverageSummaryView);
@@ -0,0 +1,78 @@
+/*
+Copyright 2020 The Chromium Authors. All rights reserved.
+Use of this source code is governed by a BSD-style license that can be
+found in the LICENSE file.
+*/
+
+import './styles.js';
+
+/**
+ * Drafts a summary of the incremental coverage of the change in the text of
+ * the reply dialog, which can be edited before sending.
+ */
+class CoverageReplyView extends Polymer.Element {
+  static get template() {
+    return Polymer.html`
+      <style include="coverage-column-styles"></style>
+      <div class="coverage-reply" hidden$="[[!shown]]">
+        <button title="Insert a summary of the incremental coverage of the change into the reply" on-click="_insertSummary">Insert coverage summary</button>
+        <span class="coverage-reply-message">[[message]]</span>
+      </div>
+    `;
+  }
+
+  static get is() {
+    return 'coverage-reply-view';
+  }
+
+  static get properties() {
+    return {
+      shown: {
+        type: Boolean,
+        value: false,
+      },
+      change: Object,
+      // See CoverageClient.provideReplySummary.
+      provider: Function,
+      message: {
+        type: String,
+        value: '',
+      },
+    };
+  }
+
+  async _insertSummary() {
+    const change = this.change;
+    const revision = change && change.revisions &&
+        change.revisions[change.current_revision];
+    if (!revision || !this.provider) {
+      return;
+    }
+
+    this.message = '…';
+    const summary = await this.provider(change._number, revision._number);
+    if (!summary) {
+      this.message = 'Not available';
+      return;
+    }
+
+    // The endpoint decorates the text area of the reply dialog, whose text
+    // is bound to the draft of the reply.
+    const textarea =
+        this.parentElement && this.parentElement.querySelector('gr-textarea');
+    if (textarea) {
+      textarea.text = [textarea.text, summary].filter((text) => text)
+          .join('\n\n');
+      this.message = '';
+    } else {
+      try {
+        await navigator.clipboard.writeText(summary);
+        this.message = 'Copied to the clipboard';
+      } catch(error) {
+        console.warn(error);
+        this.message = 'Not available';
+      }
+    }
+  }
+}
+customElements.define(CoverageReplyView.is, CoverageReplyView);
@@ -0,0 +1,307 @@
+// Copyright 2020 The Chromium Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+// Summaries of the coverage of a patchset, computed from the coverage
+// percentages of its files, see
+// CoverageClient.convertResponseJsonToCoveragePercentages.
+
+// Types of coverage percentages surfaced per file. The corresponding
+// property in the percentages response is suffixed with '_coverage'. Any
+// other property with that suffix adds a type, such as
+// 'absolute_integration_tests_coverage'.
+export const COVERAGE_TYPES = [
+  'absolute',
+  'incremental',
+  'absolute_unit_tests',
+  'incremental_unit_tests',
+  'branch',
+];
+
+// Dict of formats the coverage of a patchset can be exported to, see
+// formatCoverageExport, and corresponding file extensions and MIME types.
+export const EXPORT_FORMATS = {
+  csv: {extension: 'csv', mimeType: 'text/csv'},
+  json: {extension: 'json', mimeType: 'application/json'},
+  markdown: {extension: 'md', mimeType: 'text/markdown'},
+};
+
+/**
+ * Formats runs of lines, such as uncovered added lines.
+ * @param {Array} ranges The runs, objects with 'start_line' and 'end_line'
+ *     properties.
+ * @return {Array} Returns a list of strings such as "11-12" or "20".
+ */
+export function formatLineRanges(ranges) {
+  return ranges.map(({start_line, end_line}) => {
+    return start_line == end_line ? `${start_line}` :
+        `${start_line}-${end_line}`;
+  });
+}
+
+/**
+ * Gets the exact percentage of a type of coverage of a file. Unlike the
+ * rounded percentage, it is below a bar whenever the coverage is.
+ * @param {object} fileCov The coverage percentages of the file, see
+ *     CoverageClient.convertResponseJsonToCoveragePercentages.
+ * @param {string} type The type of coverage, such as 'incremental'.
+ * @return {number} Returns null if the file has no coverage of the type.
+ */
+export function getExactPercentage(fileCov, type) {
+  const counts = fileCov.counts && fileCov.counts[type];
+  if (counts) {
+    return counts.covered * 100 / counts.total;
+  }
+
+  return fileCov[type] != null ? fileCov[type] : null;
+}
+
+/**
+ * Formats an exact percentage, see getExactPercentage.
+ * @param {number} percentage The percentage.
+ * @return {string} Returns text such as "69.5%". The percentage is truncated
+ *     to a decimal, so that a percentage below a bar never reads as reaching
+ *     it.
+ */
+export function formatExactPercentage(percentage) {
+  return `${Math.floor(percentage * 10) / 10}%`;
+}
+
+/**
+ * Aggregates per-file coverage percentages into change-wide coverage.
+ *
+ * The aggregated percentage of each type is the sum of covered lines over
+ * the sum of total lines across all files that have data for that type.
+ * @param {object} coveragePercentages An object whose properties are file
+ *     paths and corresponding values are objects as returned by
+ *     CoverageClient.convertResponseJsonToCoveragePercentages.
+ * @return {object} Returns an object of the same format as the per-file
+ *     coverage percentages, a type being null if no file has data for it.
+ */
+export function computeAggregateCoverage(coveragePercentages) {
+  const aggregate = {counts: {}};
+  const types = new Set(COVERAGE_TYPES);
+  for (const fileCov of Object.values(coveragePercentages)) {
+    Object.keys(fileCov.counts || {}).forEach((type) => types.add(type));
+  }
+  for (const type of types) {
+    let covered = 0;
+    let total = 0;
+    for (const fileCov of Object.values(coveragePercentages)) {
+      const counts = fileCov.counts && fileCov.counts[type];
+      if (counts) {
+        covered += counts.covered;
+        total += counts.total;
+      }
+    }
+
+    if (total > 0) {
+      aggregate[type] = Math.round(covered * 100 / total);
+      aggregate.counts[type] = {covered, total};
+    } else {
+      aggregate[type] = null;
+      aggregate.counts[type] = null;
+    }
+  }
+
+  return aggregate;
+}
+
+/**
+ * Rolls the coverage of the files of a patchset up into a tree of their
+ * directories.
+ *
+ * The coverage of a directory is aggregated from all the files under it,
+ * see computeAggregateCoverage. A directory that only has a single
+ * subdirectory is joined with it, such as "third_party/blink/", so that
+ * the tree is no deeper than needed.
+ * @param {object} coveragePercentages An object whose properties are file
+ *     paths and corresponding values are objects as returned by
+ *     CoverageClient.convertResponseJsonToCoveragePercentages.
+ * @return {object} Returns the root directory, an object with the
+ *     following format:
+ *     {
+ *       name: 'base/', // Relative to the parent directory.
+ *       path: 'base/',
+ *       coverage: {...}, // As returned by computeAggregateCoverage.
+ *       directories: [...], // Subdirectories of the same format.
+ *       files: [
+ *         {
+ *           name: 'test.cc',
+ *           path: 'base/test.cc',
+ *           coverage: {...}, // The coverage percentages of the file.
+ *         },
+ *       ],
+ *     }
+ *     The name and path of the root directory are empty. Subdirectories
+ *     and files are sorted by name.
+ */
+export function rollUpCoverageByDirectory(coveragePercentages) {
+  const newDirectory = (name, path) => {
+    return {name, path, subdirectories: new Map(), files: []};
+  };
+  const root = newDirectory('', '');
+  for (const [path, fileCov] of Object.entries(coveragePercentages)) {
+    const parts = path.split('/');
+    let directory = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!directory.subdirectories.has(part)) {
+        directory.subdirectories.set(
+            part, newDirectory(`${part}/`, `${directory.path}${part}/`));
+      }
+      directory = directory.subdirectories.get(part);
+    }
+    directory.files.push({
+      name: parts[parts.length - 1],
+      path,
+      coverage: fileCov,
+    });
+  }
+
+  const byName = (a, b) => a.name < b.name ? -1 : 1;
+  const rollUp = (directory) => {
+    let name = directory.name;
+    while (directory !== root && directory.files.length == 0 &&
+           directory.subdirectories.size == 1) {
+      directory = [...directory.subdirectories.values()][0];
+      name += directory.name;
+    }
+
+    const filesUnder = {};
+    for (const [path, fileCov] of Object.entries(coveragePercentages)) {
+      if (path.startsWith(directory.path)) {
+        filesUnder[path] = fileCov;
+      }
+    }
+    return {
+      name,
+      path: directory.path,
+      coverage: computeAggregateCoverage(filesUnder),
+      directories: [...directory.subdirectories.values()].map(rollUp)
+          .sort(byName),
+      files: directory.files.sort(byName),
+    };
+  };
+  return rollUp(root);
+}
+
+/**
+ * Formats the coverage of a patchset to export.
+ *
+ * CSV has a row per file, with the percentage, covered and total counts of
+ * each dimension. Markdown has a table of the files, preceded by the
+ * coverage of the whole patchset. In either, runs of uncovered added lines
+ * look like "11-12 20". JSON is the coverage as is.
+ * @param {object} report The coverage, as returned by
+ *     CoverageClient.getCoverageExport.
+ * @param {string} format The format: "csv", "json" or "markdown".
+ * @return {string}
+ */
+export function formatCoverageExport(report, format) {
+  const formatLines = (ranges) => formatLineRanges(ranges).join(' ');
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2);
+  }
+
+  if (format === 'csv') {
+    const escape = (value) => {
+      const text = value == null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['path'];
+    for (const {type} of report.dimensions) {
+      header.push(type, `${type}_covered`, `${type}_total`);
+    }
+    header.push('uncovered_added_lines');
+    const rows = [header];
+    for (const file of report.files) {
+      const row = [file.path];
+      for (const {type} of report.dimensions) {
+        const counts = file.coverage.counts && file.coverage.counts[type];
+        row.push(file.coverage[type], counts && counts.covered,
+                 counts && counts.total);
+      }
+      row.push(file.uncovered_added_lines &&
+               formatLines(file.uncovered_added_lines));
+      rows.push(row);
+    }
+    return rows.map((row) => row.map(escape).join(',')).join('\n') + '\n';
+  }
+
+  if (format === 'markdown') {
+    const escape = (text) => text.replace(/[|\\`*_]/g, '\\$&');
+    const describe = (coverage, type) => {
+      const counts = coverage.counts && coverage.counts[type];
+      return counts ?
+          `${coverage[type]}% (${counts.covered}/${counts.total})` : '-';
+    };
+    const row = (cells) => `| ${cells.join(' | ')} |`;
+    const lines = [
+      `### Code coverage of change ${report.change}, patchset ` +
+          `${report.patchset}` +
+          (report.platform ? ` on ${escape(report.platform)}` : ''),
+      '',
+      row(['File'].concat(
+          report.dimensions.map(({label}) => escape(label)),
+          ['Uncovered added lines'])),
+      row(['---'].concat(report.dimensions.map(() => '---:'), ['---'])),
+      row(['**Total**'].concat(report.dimensions.map(
+          ({type}) => describe(report.summary, type)), [''])),
+    ];
+    for (const file of report.files) {
+      lines.push(row([`\`${file.path}\``].concat(
+          report.dimensions.map(({type}) => describe(file.coverage, type)),
+          [file.uncovered_added_lines ?
+               formatLines(file.uncovered_added_lines) : '-'])));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  throw new Error(`Unknown coverage export format "${format}"`);
+}
+
+/**
+ * Gets the summary of the incremental coverage of a patchset for a reply.
+ * @param {object} aggregate The coverage of the patchset, as returned by
+ *     computeAggregateCoverage.
+ * @param {Array} lowFiles The files below their bar, objects with 'path',
+ *     'fileCov', the coverage percentages of the file, 'threshold', the
+ *     bar, and 'uncoveredLines', the runs of uncovered added lines or null
+ *     if unknown. Their exact percentage is shown, see getExactPercentage.
+ * @return {string}
+ */
+export function getReplySummaryText(aggregate, lowFiles) {
+  const describe = (coverage, percentageText) => {
+    const counts = coverage.counts.incremental;
+    return `${percentageText} (${counts.covered}/${counts.total} ` +
+           `added lines)`;
+  };
+
+  if (aggregate.incremental == null) {
+    return 'None of the lines added by this change is instrumented for ' +
+           'code coverage.';
+  }
+
+  const lines = [
+    'Incremental coverage of this change is ' +
+    `${describe(aggregate, `${aggregate.incremental}%`)}.`];
+  if (lowFiles.length == 0) {
+    lines.push('', 'All files meet the bar of incremental coverage.');
+    return lines.join('\n');
+  }
+
+  lines.push('', 'Please add tests for the uncovered added lines of the ' +
+                 'files below the bar:', '');
+  for (const file of lowFiles) {
+    const percentageText = formatExactPercentage(
+        getExactPercentage(file.fileCov, 'incremental'));
+    let line = `* \`${file.path}\`: ` +
+               `${describe(file.fileCov, percentageText)}, below ` +
+               `${file.threshold}%`;
+    if (file.uncoveredLines && file.uncoveredLines.length > 0) {
+      line += `, lines ${formatLineRanges(file.uncoveredLines).join(', ')}`;
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
@@ -2,31 +2,318 @@
 // Use of this source code is governed by a BSD-style license that can be
 // found in the LICENSE file.
 
+import {
+  CoverageCache,
+  PersistentCoverageStore,
+  getCacheKey,
+} from './coverage-cache.js';
+import {
+  COVERAGE_TYPES,
+  EXPORT_FORMATS,
+  computeAggregateCoverage,
+  formatCoverageExport,
+  formatExactPercentage,
+  getExactPercentage,
+  getReplySummaryText,
+  rollUpCoverageByDirectory,
+} from './coverage-summaries.js';
+import {REPORT_PARSERS} from './report-parsers.js';
 
-// Url suffix of the code coverage service API from which to fetch per-cl
-// coverage data.
-const COVERAGE_SERVICE_ENDPOINT_SUFFIX = '/coverage/api/coverage-data';
-
-// The gob coverage host which is used to process internal project.
-const GOB_COVERAGE_HOST = 'https://gob-coverage.googleplex.com';
+// Default URL parameters of the requests to a coverage backend, by format,
+// which can be overridden by the 'params' setting of the backend. See
+// expandUrlTemplate for the placeholders.
+const DEFAULT_BACKEND_PARAMS = {
+  json: 'host={host}&project={project}&change={change}&patchset={patchset}&' +
+        'type={type}&format=json&concise=1',
+  report: 'host={host}&project={project}&change={change}&patchset={patchset}',
+};
 
-// The chromium coverage host which is used to process external project.
-const CHROMIUM_COVERAGE_HOST = 'https://findit-for-me.appspot.com';
+// URL parameter appended to the default ones for projects whose coverage data
+// is keyed by platform, see getCoveragePlatforms.
+const DEFAULT_PLATFORM_PARAM = 'platform={platform}';
 
-// Dict of gerrit review host and corresponding code coverage service host
-// from which to fetch per-cl coverage data.
-const GERRIT_TO_COVERAGE_HOST = {
-  'chromium-review.googlesource.com': CHROMIUM_COVERAGE_HOST,
-  'libassistant-internal-review.git.corp.google.com': GOB_COVERAGE_HOST,
-  'libassistant-internal-review.googlesource.com': GOB_COVERAGE_HOST,
-};
+// Name of the platform selection that merges the coverage data of all the
+// platforms of a project, see fetchMergedCoverageData.
+const MERGED_PLATFORM = 'merged';
 
 // Used to identify host prefixes that should be stripped. This is needed
 // so that the plugin can work in different environments, such as 'canary-'.
+// More prefixes can be added by the 'hostPrefix' setting of the coverage
+// config.
 const HOST_PREFIXES = ['canary-', 'polymer1-', 'polymer2-'];
 
-// Bar for low coverage warning,
-const LOW_COVERAGE_WARNING_BAR = 70
+// Credentials modes of the requests to a coverage backend, as configured by
+// the 'credentials' setting of the backend.
+const CREDENTIALS_MODES = ['omit', 'same-origin', 'include'];
+
+// Default number of times to retry fetching coverage data that is still being
+// computed, which can be overridden by the 'pendingRetries' setting of the
+// coverage config.
+const PENDING_RETRIES = 5;
+
+// Default delay in seconds before the first retry, which can be overridden by
+// the 'pendingRetryDelay' setting of the coverage config. The delay doubles
+// with each retry.
+const PENDING_RETRY_DELAY = 15;
+
+// Default number of days after which persisted coverage data is dropped,
+// which can be overridden by the 'persistentCacheMaxAge' setting of the
+// coverage config.
+const PERSISTENT_CACHE_MAX_AGE = 14;
+
+// Number of patchsets whose combined lines and percentages responses are
+// kept until both are converted.
+const COMBINED_RESPONSES_SIZE = 4;
+
+// Maximum number of diffs fetched from Gerrit at the same time, such as to
+// find the lines added by a patchset with hundreds of files.
+const MAX_CONCURRENT_DIFF_REQUESTS = 6;
+
+// Default bar for low incremental coverage warning, which can be overridden
+// by the 'lowCoverageThreshold' setting of the coverage config.
+const LOW_COVERAGE_WARNING_BAR = 70;
+
+// Dict of coverage types checked by the low coverage warning and
+// corresponding labels used in the warnings.
+const LOW_COVERAGE_LABELS = {
+  incremental: 'Incremental coverage',
+  absolute: 'Absolute coverage',
+  incremental_unit_tests: 'Incremental coverage of unit tests',
+};
+
+// Default percentages below which coverage is coloured as low and from which
+// it is coloured as high in the file list, which can be overridden by the
+// 'heatMapThresholds' setting of the coverage config.
+const HEAT_MAP_THRESHOLDS = {low: 50, high: 80};
+
+// Name of the check of the checks API, which can be overridden by the
+// 'checkName' setting of the coverage config.
+const DEFAULT_CHECK_NAME = 'Low Coverage Check';
+
+// Execution count from which a line is considered to be on a hot path.
+const HOT_LINE_HIT_COUNT = 1000;
+
+// Dict of coverage types and corresponding labels and descriptions of their
+// columns in the file list. Other types are labelled after their names, or
+// by the 'dimension' setting of the coverage config.
+const DIMENSION_LABELS = {
+  absolute: {
+    label: '|Cov|',
+    description: 'Absolute coverage percentage(All Tests) of the whole file',
+  },
+  incremental: {
+    label: 'ΔCov',
+    description: 'Incremental coverage percentage(All Tests) of new lines ' +
+        'in the file',
+  },
+  absolute_unit_tests: {
+    label: '|Cov|(U)',
+    description: 'Absolute coverage percentage(Unit Tests) of the whole file',
+  },
+  incremental_unit_tests: {
+    label: 'ΔCov(U)',
+    description: 'Incremental coverage percentage(Unit Tests) of new lines ' +
+        'in the file',
+  },
+  branch: {
+    label: '|Br|',
+    description: 'Branch coverage percentage(All Tests) of the whole file',
+  },
+};
+
+/**
+ * Converts a boolean config value, which may be a string, to a boolean.
+ * @param {*} value The config value.
+ * @return {boolean}
+ */
+function toBoolean(value) {
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+/**
+ * Converts a config value that may be set more than once to a list.
+ * @param {*} value A single value, a list of values or undefined.
+ * @return {Array}
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Converts a glob to a regular expression matching whole paths.
+ *
+ * '**' matches any number of characters, '*' matches any number of
+ * characters other than '/' and '?' matches a single character other than
+ * '/'. A glob ending with '/' matches everything under the directory.
+ * @param {string} glob The glob, such as 'third_party/**'.
+ * @return {RegExp}
+ */
+export function globToRegExp(glob) {
+  if (glob.endsWith('/')) {
+    glob += '**';
+  }
+
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (c === '*') {
+      pattern += '[^/]*';
+    } else if (c === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Expands a URL template with the info of a patchset.
+ * @param {string} template The template, in which '{host}', '{project}',
+ *     '{change}', '{patchset}', '{platform}' and '{type}' are replaced with
+ *     URL-encoded values.
+ * @param {object} changeInfo Has host, project, changeNum and patchNum, and
+ *     optionally the platform of the data.
+ * @param {string} type Type of data to fetch, optional.
+ * @return {string}
+ */
+function expandUrlTemplate(template, changeInfo, type='') {
+  const values = {
+    host: changeInfo.host,
+    project: changeInfo.project,
+    change: changeInfo.changeNum,
+    patchset: changeInfo.patchNum,
+    platform: changeInfo.platform || '',
+    type,
+  };
+  return template.replace(/{(host|project|change|patchset|platform|type)}/g,
+                          (match, name) => encodeURIComponent(values[name]));
+}
+
+/**
+ * Returns whether two change infos are of the same patchset, whatever the
+ * platform of their data.
+ * @param {object} a Has host, project, changeNum and patchNum.
+ * @param {object} b Has host, project, changeNum and patchNum.
+ * @return {boolean}
+ */
+function isSamePatchset(a, b) {
+  return a.host === b.host && a.project === b.project &&
+         a.changeNum === b.changeNum && a.patchNum === b.patchNum;
+}
+
+/**
+ * Runs asynchronous tasks, no more than a given number of them at once.
+ */
+class TaskQueue {
+  /**
+   * @param {number} concurrency The maximum number of tasks run at once.
+   */
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.running = 0;
+    // Functions that start the waiting tasks, in order.
+    this.waiting = [];
+  }
+
+  /**
+   * Runs a task as soon as fewer than the maximum number of tasks run.
+   * @param {function} task Returns a promise.
+   * @return {promise} Resolves or rejects as the promise of the task.
+   */
+  async run(task) {
+    if (this.running < this.concurrency) {
+      this.running++;
+    } else {
+      // Takes over the slot of the task that finishes first.
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.running--;
+      }
+    }
+  }
+}
+
+/**
+ * Converts the 'headers' setting of a backend to the headers of a request.
+ * @param {*} value The setting, a list of "Name: value" strings.
+ * @return {object} Returns an object whose properties are header names and
+ *     corresponding values are header values.
+ */
+function parseHeaders(value) {
+  const headers = {};
+  for (const header of toList(value)) {
+    const separator = header.indexOf(':');
+    if (separator <= 0) {
+      console.warn(`Ignoring malformed header "${header}"`);
+      continue;
+    }
+    headers[header.substring(0, separator).trim()] =
+        header.substring(separator + 1).trim();
+  }
+
+  return headers;
+}
+
+/**
+ * Base class of the errors that describe why coverage data is unavailable.
+ */
+export class CoverageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Thrown when the coverage service does not support the project.
+ */
+export class ProjectNotSupportedError extends CoverageError {}
+
+/**
+ * Thrown when no coverage backend is configured for the project.
+ */
+export class CoverageNotConfiguredError extends CoverageError {}
+
+/**
+ * Thrown when the coverage service is temporarily disabled.
+ */
+export class CoverageServiceDisabledError extends CoverageError {}
+
+/**
+ * Thrown when the coverage data of the patchset is still being computed.
+ */
+export class CoveragePendingError extends CoverageError {}
+
+/**
+ * Thrown when the coverage backend requires the user to sign in.
+ */
+export class CoverageAuthError extends CoverageError {
+  /**
+   * @param {string} message The error message.
+   * @param {string} signInUrl The URL to sign in at, or null if unknown.
+   */
+  constructor(message, signInUrl) {
+    super(message);
+    this.signInUrl = signInUrl;
+  }
+}
 
 /**
  * Provides APIs to fetch and cache coverage data.
@@ -38,9 +325,27 @@ export class CoverageClient {
     this.prefetchCoverageRanges = this.prefetchCoverageRanges.bind(this);
     this.provideCoveragePercentages =
         this.provideCoveragePercentages.bind(this);
+    this.provideCoverageSummary = this.provideCoverageSummary.bind(this);
+    this.provideFileRanking = this.provideFileRanking.bind(this);
+    this.provideDirectoryCoverage = this.provideDirectoryCoverage.bind(this);
+    this.provideCoverageExport = this.provideCoverageExport.bind(this);
+    this.provideReplySummary = this.provideReplySummary.bind(this);
+    this.provideCoverageDimensions = this.provideCoverageDimensions.bind(this);
+    this.selectPlatform = this.selectPlatform.bind(this);
+    this.navigateToUncoveredLines = this.navigateToUncoveredLines.bind(this);
+    this.annotateHitCounts = this.annotateHitCounts.bind(this);
+    this.provideChecks = this.provideChecks.bind(this);
 
     this.plugin = plugin;
 
+    // Functions called with the coverage ranges and the side of the diff
+    // they are on, whenever coverage ranges arrive.
+    this.coverageListeners = [];
+
+    // Functions called with the status of the coverage data, see
+    // coverageData.status, whenever it changes.
+    this.statusListeners = new Set();
+
     // Used to cache coverage config for a project.
     this.coverageConfig = {
       // Used to validate/invalidate the cache.
@@ -49,10 +354,38 @@ export class CoverageClient {
       // Used to indicate an async fetch of per-project configuration, and it
       // is exepcted to be resolved to an object defined by:
       // https://chromium.googlesource.com/infra/gerrit-plugins/code-coverage/+/HEAD/src/main/java/com/googlesource/chromium/plugins/coverage/GetConfig.java#34
+      // in which the settings that the project leaves unset are inherited
+      // from its parent projects.
       configPromise: null,
     }
 
-    // Used to cache coverage data for a patchset.
+    // Used to cache coverage data for recently viewed patchsets, so that
+    // going back to a patchset doesn't fetch its data again. The values are
+    // of the same format as coverageData.
+    this.coverageCache = new CoverageCache();
+
+    // The coverage dimensions last provided, see provideCoverageDimensions.
+    this.dimensions = null;
+
+    // The platform selected to show the coverage data of, see
+    // selectPlatform, or null for the default platform of the project.
+    this.platform = null;
+
+    // Used to persist coverage data across reloads for projects that turn it
+    // on with the 'persistCache' setting, created on first use.
+    this.persistentStore = null;
+
+    // Used to share a single fetch of both lines and percentages of a
+    // patchset, for backends that serve them together. The values are
+    // promises of responses that have both 'lines' and '*_coverage'
+    // properties.
+    this.combinedResponses = new CoverageCache(COMBINED_RESPONSES_SIZE);
+
+    // Used to limit the diffs fetched at once, see fetchAddedLines.
+    this.diffQueue = new TaskQueue(MAX_CONCURRENT_DIFF_REQUESTS);
+
+    // Used to cache coverage data for a patchset. It is the entry of the
+    // current patchset in coverageCache.
     this.coverageData = {
       // Used to validate/invalidate the cache.
       changeInfo: {
@@ -63,19 +396,27 @@ export class CoverageClient {
       },
 
       // Used to indicate that an async fetch of coverage ranges, and it is
+      // null until a diff needs the ranges, see ensureCoverageRanges. It is
       // expected to be resolved to an object with following format:
       // An object whose properties are file paths and corresponding values
       // are arrays of coverage ranges with the following format:
       // {
       //   side: 'right',
-      //   type: 'COVERED',
+      //   type: 'COVERED', // Or 'NOT_COVERED' or 'PARTIALLY_COVERED'.
       //   code_range: {
       //     start_line: 1,
       //     end_line: 3,
       //   },
+      //   // Execution count of each line, unless the file has no execution
+      //   // counts, such as the files of JaCoCo reports.
+      //   hit_counts: [10, 10, 2],
       // };
       rangesPromise: null,
 
+      // The value rangesPromise resolved to, used where coverage ranges are
+      // needed synchronously. It is null until rangesPromise is resolved.
+      ranges: null,
+
       // Used to indicate an async fetch of coverage percentages, and it is
       // expected to be resolved to an object with following format:
       // An object whose properties are file paths and corresponding values
@@ -87,17 +428,64 @@ export class CoverageClient {
       //                         (limited to unit tests)
       //   incremental_unit_tests: 80, // Coverage percentage of added lines
       //                         (limited to unit tests)
+      //   branch: 50, // Coverage percentage of branches.
+      //   counts: {
+      //     absolute: {covered: 99, total: 100},
+      //     incremental: {covered: 3, total: 4},
+      //     absolute_unit_tests: {covered: 80, total: 100},
+      //     incremental_unit_tests: {covered: 3, total: 4},
+      //     branch: {covered: 1, total: 2},
+      //   },
       // };
       percentagesPromise: null,
+
+      // The status of the coverage percentages, null until they are fetched.
+      // It looks like:
+      // {
+      //   state: 'failed', // See getCoverageStatus for the states.
+      //   message: 'Request code coverage data returned http 500',
+      //   link: null, // Where to act on the state, such as to sign in.
+      // }
+      status: null,
+
+      // Used to indicate an async computation of the uncovered added lines
+      // to navigate between, see getUncoveredTargets. It is null until they
+      // are first needed.
+      uncoveredPromise: null,
+
+      // Used to cache the lines added by the patchset, see fetchAddedLines.
+      // It is null until they are first needed, then an object with
+      // 'filesPromise', a promise of the files modified by the patchset, and
+      // 'diffs', a map of file paths to promises of their added lines.
+      addedLines: null,
+    };
+
+    // Used to cache coverage data for the base patchset when two patchsets
+    // are diffed against each other. Has the same format as coverageData,
+    // and is also an entry in coverageCache.
+    this.baseCoverageData = {
+      changeInfo: {
+        host: null,
+        project: null,
+        changeNum: null,
+        patchNum: null,
+      },
+      rangesPromise: null,
+      ranges: null,
+      percentagesPromise: null,
+      status: null,
+      uncoveredPromise: null,
+      addedLines: null,
     };
   }
 
   /**
    * Gets the normalized host name.
    * @param {string} host The host name of the window location.
+   * @param {Array} prefixes The prefixes to strip, optional.
    */
-  getNormalizedHost(host) {
-    for (const prefix of HOST_PREFIXES) {
+  getNormalizedHost(host, prefixes=HOST_PREFIXES) {
+    for (const prefix of prefixes) {
       if (host.startsWith(prefix)) {
         host = host.substring(prefix.length);
         break;
@@ -131,6 +519,52 @@ export class CoverageClient {
     return pathName.substring(3, indexEnd);
   }
 
+  /**
+   * Parses the change, patchsets, file and line of a change or diff URL.
+   *
+   * The path name is expected to be in one of the forms listed in
+   * parseProjectFromPathName, where the patchset may also be a range such as
+   * '1..3', and the hash may be a line on the right side such as '#42'.
+   * @param {object} location Has 'pathname' and 'hash', such as
+   *     window.location.
+   * @return {object} Returns an object with 'project', 'changeNum',
+   *     'patchNum', 'basePatchNum', 'path' and 'line' properties, those not
+   *     in the URL being null, or null if the URL is not of a change.
+   */
+  parseDiffLocation(location) {
+    const match = /^\/c\/(.+?)\/\+\/(\d+)(?:\/(?:(\w+)\.\.)?(\d+)(?:\/(.+))?)?/
+        .exec(location.pathname);
+    if (!match) {
+      return null;
+    }
+
+    const lineMatch = /^#(\d+)$/.exec(location.hash || '');
+    return {
+      project: decodeURIComponent(match[1]),
+      changeNum: parseInt(match[2]),
+      patchNum: match[4] ? parseInt(match[4]) : null,
+      basePatchNum: match[3] || null,
+      path: match[5] ? decodeURIComponent(match[5]) : null,
+      line: lineMatch ? parseInt(lineMatch[1]) : null,
+    };
+  }
+
+  /**
+   * Gets the change info of a patchset of the change of the current page.
+   * @param {string} changeNum The change number of the patchset.
+   * @param {string} patchNum The patchset number of the patchset.
+   * @return {object} Returns an object with 'host', 'project', 'changeNum'
+   *     and 'patchNum' properties.
+   */
+  getCurrentChangeInfo(changeNum, patchNum) {
+    return {
+      host: this.getNormalizedHost(window.location.host),
+      project: this.parseProjectFromPathName(window.location.pathname),
+      changeNum: parseInt(changeNum),
+      patchNum: parseInt(patchNum),
+    };
+  }
+
   /**
    * Fetches code coverage data from coverage service for a patchset.
    *
@@ -147,6 +581,15 @@ export class CoverageClient {
    *             line: 168,
    *             count: 10
    *           },
+   *           {
+   *             line: 169,
+   *             count: 10,
+   *             branches: {
+   *               taken: 1,
+   *               total: 2,
+   *             },
+   *             unit_tests_count: 2,
+   *           },
    *         ]
    *       }
    *     ]
@@ -167,54 +610,98 @@ export class CoverageClient {
    *           covered: 9,
    *           total: 12,
    *         },
+   *         branch_coverage: {
+   *           covered: 30,
+   *           total: 40,
+   *         },
    *       }
    *     ]
    *   }
    * }
    * The value of 'incremental_coverage' is null if there are no added lines.
+   * The 'branches' of a line and the 'branch_coverage' of a file are only
+   * present if the coverage data has branch information. The
+   * 'unit_tests_count' of a line, the execution count of the line by unit
+   * tests, is only present if the coverage data tells unit tests apart.
+   * A file of the lines has 'has_hit_counts' set to false if the counts of
+   * its lines only tell whether they are covered, such as in JaCoCo reports.
+   * Backends that leave out 'incremental_coverage' get it computed from the
+   * lines, see addIncrementalCoverage.
    *
-   * @param {object} changeInfo Has host, project, changeNum and patchNum.
-   * @param {string} type Type of data to fetch: "lines" or "percentages".
+   * The data is fetched from the backend configured for the project, see
+   * getCoverageBackend. If the backend serves a report 'format' other than
+   * 'json', the coverage report is converted to the responses above, see
+   * fetchCoverageReportData.
+   *
+   * Backends that set 'combined' serve both types of data with 'all' as the
+   * type, and reports always have both. For those, both types of data are
+   * fetched by a single request, whose response has the properties of both
+   * responses above.
+   *
+   * For projects whose coverage data is keyed by platform, the data is of
+   * the platform of the change info if the project has it, otherwise of the
+   * default platform, see getSelectedPlatform. The merged platform gets the
+   * lines of every platform merged, for either type, see
+   * fetchMergedCoverageData.
+   *
+   * @param {object} changeInfo Has host, project, changeNum and patchNum,
+   *     and optionally the platform of the data.
+   * @param {string} type Type of data to fetch: "lines", "percentages" or
+   *     "all".
    * @return {promise} Resolves to parsed JSON response body if the coverage
    *     data is successfully retrieved, otherwise, resolves to null.
    */
   async fetchCoverageJsonData(changeInfo, type) {
-    if (type !== 'lines' && type !== 'percentages') {
+    if (type !== 'lines' && type !== 'percentages' && type !== 'all') {
       throw new Error(
-          'Type is expected to be either "lines" or "percentages"');
+          'Type is expected to be either "lines", "percentages" or "all"');
     }
 
-    const params = new URLSearchParams({
-      host: changeInfo.host,
-      project: changeInfo.project,
-      change: changeInfo.changeNum,
-      patchset: changeInfo.patchNum,
-      type: type,
-      format: 'json',
-      concise: '1',
-    });
+    const config = (await this.getCoverageConfig(changeInfo.project)) || {};
+    const platform = this.getSelectedPlatform(config, changeInfo.platform);
+    if (platform === MERGED_PLATFORM) {
+      return this.fetchMergedCoverageData(
+          changeInfo, this.getCoveragePlatforms(config));
+    }
+    if ((changeInfo.platform || null) !== platform) {
+      changeInfo = Object.assign({}, changeInfo, {platform});
+    }
+
+    const backend = this.getCoverageBackend(changeInfo, config);
+    if (type !== 'all' && (backend.combined || backend.format !== 'json')) {
+      return this.fetchCombinedCoverageData(changeInfo);
+    }
+
+    if (backend.format !== 'json') {
+      return this.fetchCoverageReportData(changeInfo, type, backend);
+    }
 
-    let coverageHost = GERRIT_TO_COVERAGE_HOST[changeInfo.host];
-    // If the host is not found, use CHROMIUM_COVERAGE_HOST by default.
-    if (coverageHost === undefined) {
-      coverageHost = CHROMIUM_COVERAGE_HOST;
+    const response = await this.fetchFromBackend(changeInfo, backend, type);
+    let responseJson;
+    try {
+      responseJson = await response.json();
+    } catch(error) {
+      if (response.ok) {
+        throw error;
+      }
+      responseJson = {};
+    }
+    if (responseJson.is_pending === true) {
+      throw new CoveragePendingError(
+          'Code coverage data is not available yet');
     }
-    const defaultEndpoint = coverageHost + COVERAGE_SERVICE_ENDPOINT_SUFFIX;
-    const config = await this.coverageConfig.configPromise;
-    const endpoint = ("endpoint" in config && config.endpoint.length > 0) ? config.endpoint : defaultEndpoint;
 
-    const url = `${endpoint}?${params.toString()}`;
-    const response = await fetch(url);
-    const responseJson = await response.json();
     if (response.status == 400 &&
         responseJson.is_project_supported === false) {
-      throw new Error(`"${changeInfo.project}" project is not supported ` +
-                      `for code coverage`);
+      throw new ProjectNotSupportedError(
+          `"${changeInfo.project}" project is not supported for code ` +
+          `coverage`);
     }
 
     if (response.status == 500 &&
         responseJson.is_service_enabled === false) {
-      throw new Error('Code coverage service is temporarily disabled');
+      throw new CoverageServiceDisabledError(
+          'Code coverage service is temporarily disabled');
     }
 
     if (!response.ok) {
@@ -226,103 +713,665 @@ export class CoverageClient {
   }
 
   /**
-   * Converts the JSON response to coverage ranges needed by coverage layer.
-   * @param {object} responseJson The JSON response returned from coverage
-   *     service.
-   * @return {object} Returns an object whose properties are file paths and
-   *     corresponding values are a list of coverage ranges if the JSON
-   *     response has valid format, otherwise, returns null.
+   * Fetches both lines and percentages of a patchset by a single request,
+   * shared by the fetches of either type.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @return {promise} Resolves to the response of the "all" type, see
+   *     fetchCoverageJsonData.
    */
-  convertResponseJsonToCoverageRanges(responseJson) {
-    if (!responseJson.data) {
-      throw new Error('Invalid coverage lines response format. Expecting ' +
-                      '"data" property');
+  fetchCombinedCoverageData(changeInfo) {
+    const key = getCacheKey(changeInfo);
+    let responsePromise = this.combinedResponses.get(key);
+    if (!responsePromise) {
+      responsePromise = this.fetchCoverageJsonData(changeInfo, 'all');
+      this.combinedResponses.set(key, responsePromise);
+      // Fetches again on the next attempt, such as a retry of pending data.
+      responsePromise.catch(() => {
+        this.combinedResponses.delete(key);
+      });
     }
 
-    const responseData = responseJson.data;
-    if (!responseData.files) {
-      throw new Error('Invalid coverage lines response format. Expecting ' +
-                      '"files" property');
-    }
+    return responsePromise;
+  }
 
-    const responseFiles = responseData.files;
-    let coverageRanges = {};
+  /**
+   * Fetches the coverage lines of a patchset on every platform and merges
+   * them, see mergeCoverageLines.
+   *
+   * Platforms without data, such as those the patchset isn't built for, are
+   * left out unless none of them has data. The response only has lines, as
+   * percentages of different platforms can't be merged, so the percentages
+   * are computed from the merged lines.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {Array} platforms The platforms, see getCoveragePlatforms.
+   * @return {promise} Resolves to a response of the same format as the
+   *     lines response, see fetchCoverageJsonData.
+   * @throws {CoveragePendingError} If the data of any platform is still being
+   *     computed, so that the lines it covers are not shown as uncovered
+   *     until it is merged as well.
+   */
+  async fetchMergedCoverageData(changeInfo, platforms) {
+    const results = await Promise.allSettled(platforms.map((platform) => {
+      return this.fetchCoverageJsonData(
+          Object.assign({}, changeInfo, {platform: platform.name}), 'lines');
+    }));
+    const pending = results.find((result) => {
+      return result.status === 'rejected' &&
+             result.reason instanceof CoveragePendingError;
+    });
+    if (pending) {
+      throw pending.reason;
+    }
 
-    for (var i = 0; i < responseFiles.length; i++) {
-      const responseFile = responseFiles[i];
-      if (!responseFile.path || !responseFile.lines) {
-        throw new Error('Invalid coverage lines response format. Expecting ' +
-                        '"path" and "lines" properties');
+    const responses = [];
+    for (const result of results) {
+      if (result.status === 'fulfilled') {
+        responses.push(result.value);
+      } else {
+        console.warn(result.reason);
       }
+    }
+    if (responses.length == 0) {
+      throw results[0].reason;
+    }
 
-      coverageRanges[responseFile.path] = new Array();
-      const responseLines = responseFile.lines;
-      responseLines.sort((a, b) => (a.line > b.line)? 1 : -1);
-      let startLine = -1;
-      let endLine = -1;
-      let isCovered = null;
-      for (var j = 0; j < responseLines.length; j++) {
-        const responseLine = responseLines[j];
-        if (!responseLine.line || responseLine.count == null) {
-          throw new Error('Invalid coverage lines response format. ' +
-                          'Expecting "line" and "count" properties');
-        }
-
-        if (startLine != -1 &&
-            responseLine.line == endLine + 1 &&
-            isCovered == (responseLine.count > 0)) {
-          endLine += 1;
-          continue;
-        }
+    return this.mergeCoverageLines(responses);
+  }
 
-        if (startLine != -1) {
-          coverageRanges[responseFile.path].push({
-            side: 'right',
-            type: (isCovered? 'COVERED' : 'NOT_COVERED'),
-            code_range: {
-              start_line: startLine,
-              end_line: endLine,
-            }
-          });
+  /**
+   * Merges the lines of several lines responses, so that a line is covered
+   * if it is covered in any of them.
+   *
+   * The execution counts of a line add up. As responses don't tell which
+   * branches of a line are taken, the branches of the response that takes
+   * the most of them are kept.
+   * @param {Array} responses The lines responses, see fetchCoverageJsonData.
+   * @return {object} Returns a lines response with the files of all the
+   *     responses.
+   */
+  mergeCoverageLines(responses) {
+    const files = new Map();
+    for (const response of responses) {
+      for (const responseFile of (response.data && response.data.files) ||
+                                 []) {
+        if (!files.has(responseFile.path)) {
+          files.set(responseFile.path, new Map());
         }
+        const lines = files.get(responseFile.path);
+        for (const responseLine of responseFile.lines || []) {
+          const line = lines.get(responseLine.line);
+          if (!line) {
+            lines.set(responseLine.line, Object.assign({}, responseLine));
+            continue;
+          }
 
-        startLine = responseLine.line;
-        endLine = startLine;
-        isCovered = (responseLine.count > 0);
-      }
-
-      if (startLine != -1) {
-        coverageRanges[responseFile.path].push({
-          side: 'right',
-          type: (isCovered? 'COVERED' : 'NOT_COVERED'),
-          code_range: {
-            start_line: startLine,
-            end_line: endLine,
+          line.count += responseLine.count;
+          if (responseLine.unit_tests_count !== undefined) {
+            line.unit_tests_count =
+                (line.unit_tests_count || 0) + responseLine.unit_tests_count;
           }
-        });
+          if (responseLine.branches && (!line.branches ||
+              responseLine.branches.taken > line.branches.taken)) {
+            line.branches = responseLine.branches;
+          }
+        }
       }
     }
 
-    return coverageRanges;
+    return {
+      data: {
+        files: [...files].map(([path, lines]) => {
+          return {
+            path,
+            lines: [...lines.values()].sort((a, b) => a.line - b.line),
+          };
+        }),
+      },
+    };
   }
 
   /**
-   * Fetches code coverage ranges from coverage service for a patchset.
+   * Gets the coverage backend configured for a patchset.
    *
+   * The 'backends' of the config are registered by the code-coverage.config
+   * files of the project, of its parent projects and of the site, in that
+   * order. Each is an object that looks like:
+   * {
+   *   host: 'chromium-review.googlesource.com', // Glob(s), optional.
+   *   project: 'chromium/*', // Glob(s), optional.
+   *   endpoint: 'https://coverage.example.com/api/coverage-data',
+   *   params: 'change={change}&patchset={patchset}&type={type}', // Optional.
+   *   format: 'json', // Or one of the report formats, optional.
+   *   reportUrl: 'https://coverage.example.com/{change}', // Optional.
+   *   stripPathPrefix: ['/home/ci/src/'], // Of report paths, optional.
+   *   pathPrefix: 'src/main/java/', // Of report paths, optional.
+   *   credentials: 'include', // Or 'same-origin' or 'omit', optional.
+   *   headers: ['X-Client: gerrit'], // Optional.
+   *   proxy: false, // Whether to fetch through Gerrit, optional.
+   *   signInUrl: 'https://coverage.example.com/login', // Optional.
+   *   combined: false, // Whether 'all' is a supported type, optional.
+   * }
+   * The first backend whose host and project match the patchset is used.
+   * Without a matching backend, the top-level settings of the config make up
+   * the backend. Unset settings of a backend other than its host, project
+   * and endpoint also default to the top-level settings. For projects whose
+   * coverage data is keyed by platform, the default params include the
+   * platform.
+   *
+   * A proxied backend is fetched from the 'coverage-data' REST endpoint of
+   * the plugin, which resolves the backend of the project the same way and
+   * adds the headers of the backend on the server, so that they never reach
+   * the browser.
    * @param {object} changeInfo Has host, project, changeNum and patchNum.
-   * @return {promise} Resolves to a map of files to coverage ranges if the
-   *     coverage ata is successfully retrieved and parsed, otherwise,
-   *     resolves to null.
+   * @param {object} config The coverage config of the project.
+   * @return {object} Returns a backend with 'endpoint', 'params', 'format',
+   *     'reportUrl', 'stripPathPrefix', 'pathPrefix', 'credentials',
+   *     'headers', 'proxy', 'signInUrl' and 'combined' properties.
+   * @throws {CoverageNotConfiguredError} If no backend is configured.
    */
-  async fetchCoverageRanges(changeInfo) {
-    const responseJson = await this.fetchCoverageJsonData(changeInfo,
-                                                          'lines');
-    return this.convertResponseJsonToCoverageRanges(responseJson);
+  getCoverageBackend(changeInfo, config) {
+    const host = this.getNormalizedHost(
+        changeInfo.host, HOST_PREFIXES.concat(toList(config.hostPrefix)));
+    const matches = (globs, value) => {
+      const patterns = toList(globs);
+      return patterns.length == 0 ||
+             patterns.some((glob) => globToRegExp(glob.trim()).test(value));
+    };
+
+    let backend = toList(config.backends).find((backend) => {
+      if (!backend || !backend.endpoint) {
+        console.warn('Ignoring coverage backend without an "endpoint"');
+        return false;
+      }
+      return matches(backend.host, host) &&
+             matches(backend.project, changeInfo.project);
+    });
+    if (!backend && config.endpoint) {
+      backend = {endpoint: config.endpoint};
+    }
+    if (!backend) {
+      throw new CoverageNotConfiguredError(
+          `Code coverage is not configured for "${changeInfo.project}" ` +
+          `on ${host}`);
+    }
+
+    const setting = (name) => {
+      return backend[name] !== undefined ? backend[name] : config[name];
+    };
+    const format = setting('format') || 'json';
+    let credentials = setting('credentials') || 'same-origin';
+    if (!CREDENTIALS_MODES.includes(credentials)) {
+      console.warn(`Ignoring unknown credentials mode "${credentials}"`);
+      credentials = 'same-origin';
+    }
+    let params = backend.params;
+    if (params === undefined) {
+      params = DEFAULT_BACKEND_PARAMS[format === 'json' ? 'json' : 'report'];
+      if (this.getCoveragePlatforms(config).length > 0) {
+        params += `&${DEFAULT_PLATFORM_PARAM}`;
+      }
+    }
+    return {
+      endpoint: backend.endpoint,
+      params,
+      format,
+      reportUrl: setting('reportUrl') || null,
+      stripPathPrefix: toList(setting('stripPathPrefix')),
+      pathPrefix: setting('pathPrefix') || '',
+      credentials,
+      headers: parseHeaders(setting('headers')),
+      proxy: toBoolean(setting('proxy')),
+      signInUrl: setting('signInUrl') || null,
+      combined: format === 'json' && toBoolean(setting('combined')),
+    };
   }
 
   /**
-   * Converts the JSON response to coverage percentages.
-   * @param {object} responseJson The JSON response returned from coverage
+   * Fetches coverage data of a patchset from a backend.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {object} backend The backend as returned by getCoverageBackend.
+   * @param {string} type Type of data to fetch, optional.
+   * @return {promise} Resolves to the response.
+   * @throws {CoverageAuthError} If the backend requires the user to sign in.
+   */
+  async fetchFromBackend(changeInfo, backend, type='') {
+    let response;
+    if (backend.proxy) {
+      response = await this.plugin.restApi().fetch(
+          'GET', this.getCoverageProxyUrl(changeInfo, type));
+    } else {
+      response = await fetch(
+          this.getCoverageBackendUrl(changeInfo, backend, type), {
+            credentials: backend.credentials,
+            headers: backend.headers,
+          });
+    }
+
+    if (response.status == 401 || response.status == 403) {
+      throw new CoverageAuthError(
+          'Sign in to the coverage service to see code coverage',
+          backend.signInUrl);
+    }
+
+    return response;
+  }
+
+  /**
+   * Gets the URL to fetch coverage data of a patchset from a backend.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {object} backend The backend as returned by getCoverageBackend.
+   * @param {string} type Type of data to fetch, optional.
+   * @return {string}
+   */
+  getCoverageBackendUrl(changeInfo, backend, type='') {
+    const endpoint = expandUrlTemplate(backend.endpoint, changeInfo, type);
+    const params = expandUrlTemplate(backend.params, changeInfo, type);
+    if (!params) {
+      return endpoint;
+    }
+
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}${params}`;
+  }
+
+  /**
+   * Gets the URL of the 'coverage-data' REST endpoint of the plugin, which
+   * fetches coverage data of a patchset from a proxied backend.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {string} type Type of data to fetch, optional.
+   * @return {string}
+   */
+  getCoverageProxyUrl(changeInfo, type='') {
+    let params = `host=${encodeURIComponent(changeInfo.host)}&` +
+                 `change=${encodeURIComponent(changeInfo.changeNum)}&` +
+                 `patchset=${encodeURIComponent(changeInfo.patchNum)}`;
+    if (changeInfo.platform) {
+      params += `&platform=${encodeURIComponent(changeInfo.platform)}`;
+    }
+    if (type) {
+      params += `&type=${encodeURIComponent(type)}`;
+    }
+
+    return `/projects/${encodeURIComponent(changeInfo.project)}/` +
+           `${encodeURIComponent(this.plugin.getPluginName())}~coverage-data?` +
+           params;
+  }
+
+  /**
+   * Gets the URL of the full coverage report of a patchset.
+   *
+   * The 'reportUrl' setting of the backend is a template, see
+   * expandUrlTemplate. Without it, the report is the report file served by
+   * the backend, if its format is a report format.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {object} config The coverage config of the project.
+   * @return {string} Returns null if there is no 'reportUrl' and the backend
+   *     serves JSON, or is proxied, as its endpoint isn't reachable from the
+   *     browser.
+   * @throws {CoverageNotConfiguredError} If no backend is configured.
+   */
+  getCoverageReportUrl(changeInfo, config) {
+    const backend = this.getCoverageBackend(changeInfo, config);
+    if (backend.reportUrl) {
+      return expandUrlTemplate(backend.reportUrl, changeInfo);
+    }
+
+    if (backend.format === 'json' || backend.proxy) {
+      return null;
+    }
+    return this.getCoverageBackendUrl(changeInfo, backend);
+  }
+
+  /**
+   * Fetches a coverage report of a patchset and converts it to the same
+   * format as the responses of the coverage service.
+   *
+   * The report is fetched from the endpoint of the backend, by default with
+   * the host, project, change and patchset as URL parameters, and parsed by
+   * the parser of the format of the backend, which maps the file paths of
+   * the report to paths of the repository by the 'stripPathPrefix' and
+   * 'pathPrefix' settings of the backend. As reports have no notion of added
+   * lines, incremental coverage is computed against the added lines of the
+   * change.
+   *
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {string} type Type of data to fetch: "lines", "percentages" or
+   *     "all".
+   * @param {object} backend The backend as returned by getCoverageBackend.
+   * @return {promise} Resolves to an object of the same format as the
+   *     response of the coverage service for the type.
+   */
+  async fetchCoverageReportData(changeInfo, type, backend) {
+    const parser = REPORT_PARSERS[backend.format];
+    if (!parser) {
+      throw new Error(`Coverage report format "${backend.format}" is not ` +
+                      `supported`);
+    }
+
+    const response = await this.fetchFromBackend(changeInfo, backend, type);
+    if (response.status == 404) {
+      throw new CoveragePendingError(
+          'Code coverage report is not available yet');
+    }
+
+    if (!response.ok) {
+      throw new Error(`Request code coverage report returned http ` +
+                      `${response.status}`);
+    }
+
+    const report = parser(await response.text(), {
+      stripPathPrefix: backend.stripPathPrefix,
+      pathPrefix: backend.pathPrefix,
+    });
+    if (type === 'lines') {
+      return {
+        data: {
+          files: report.files.map((file) => {
+            return {
+              path: file.path,
+              lines: file.lines,
+              has_hit_counts: file.has_hit_counts,
+            };
+          }),
+        },
+      };
+    }
+
+    const addedLines = await this.fetchAddedLines(
+        changeInfo, report.files.map((file) => file.path));
+    return {
+      data: {
+        files: report.files.map((file) => {
+          const responseFile = {
+            path: file.path,
+            absolute_coverage: file.absolute_coverage,
+            incremental_coverage: this.computeIncrementalCoverage(
+                file.lines, addedLines[file.path]),
+            branch_coverage: file.branch_coverage,
+          };
+          if (type === 'all') {
+            responseFile.lines = file.lines;
+            responseFile.has_hit_counts = file.has_hit_counts;
+          }
+          return responseFile;
+        }),
+      },
+    };
+  }
+
+  /**
+   * Fetches the lines added by a patchset relative to its parent.
+   *
+   * The added lines of the current patchsets are cached in their coverage
+   * data, so that each diff is fetched once however many times the added
+   * lines are needed. Diffs are fetched a few at a time, see diffQueue.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {Array} paths The paths of the files to fetch the added lines of.
+   *     Paths that are not modified by the patchset are ignored.
+   * @return {promise} Resolves to an object whose properties are file paths
+   *     and corresponding values are sorted arrays of added line numbers.
+   */
+  async fetchAddedLines(changeInfo, paths) {
+    const restApi = this.plugin.restApi();
+    const revisionUrl =
+        `/changes/${encodeURIComponent(changeInfo.project)}~` +
+        `${changeInfo.changeNum}/revisions/${changeInfo.patchNum}`;
+    const coverageData = [this.coverageData, this.baseCoverageData].find(
+        (coverageData) => isSamePatchset(coverageData.changeInfo, changeInfo));
+    const cache = (coverageData && coverageData.addedLines) ||
+        {filesPromise: null, diffs: new Map()};
+    if (coverageData) {
+      coverageData.addedLines = cache;
+    }
+
+    // Failed requests are dropped from the cache, to be made again the next
+    // time they are needed.
+    const cachePromise = (promise, drop) => {
+      promise.catch(drop);
+      return promise;
+    };
+    if (!cache.filesPromise) {
+      cache.filesPromise = cachePromise(
+          restApi.get(`${revisionUrl}/files`), () => {
+            cache.filesPromise = null;
+          });
+    }
+    const files = await cache.filesPromise;
+
+    const addedLines = {};
+    await Promise.all(paths.filter((path) => {
+      return files[path] && files[path].lines_inserted > 0;
+    }).map(async (path) => {
+      if (!cache.diffs.has(path)) {
+        cache.diffs.set(path, cachePromise(this.diffQueue.run(async () => {
+          const diff = await restApi.get(
+              `${revisionUrl}/files/${encodeURIComponent(path)}/diff`);
+          return this.getAddedLinesFromDiff(diff);
+        }), () => {
+          cache.diffs.delete(path);
+        }));
+      }
+      addedLines[path] = await cache.diffs.get(path);
+    }));
+
+    return addedLines;
+  }
+
+  /**
+   * Gets the line numbers of added lines from a diff.
+   * @param {object} diff A DiffInfo entity as returned by Gerrit.
+   * @return {Array} Returns a sorted array of the line numbers of the lines
+   *     on the right side that are added or modified.
+   */
+  getAddedLinesFromDiff(diff) {
+    const addedLines = [];
+    let line = 1;
+    for (const chunk of diff.content || []) {
+      if (chunk.ab) {
+        line += chunk.ab.length;
+      } else if (chunk.skip) {
+        line += chunk.skip;
+      } else if (chunk.b) {
+        for (let i = 0; i < chunk.b.length; i++) {
+          addedLines.push(line++);
+        }
+      }
+    }
+
+    return addedLines;
+  }
+
+  /**
+   * Computes the coverage of added lines of a file.
+   * @param {Array} lines The lines of the file, each has 'line' and 'count'.
+   * @param {Array} addedLines The line numbers of the added lines, optional.
+   * @param {string} countProperty The property of the lines holding the
+   *     execution counts, 'count' by default or 'unit_tests_count'.
+   * @return {object} Returns an object with 'covered' and 'total' properties,
+   *     or null if none of the added lines is instrumented.
+   */
+  computeIncrementalCoverage(lines, addedLines, countProperty='count') {
+    if (!addedLines) {
+      return null;
+    }
+
+    const added = new Set(addedLines);
+    let covered = 0;
+    let total = 0;
+    for (const line of lines) {
+      if (added.has(line.line)) {
+        total += 1;
+        if (line[countProperty] > 0) {
+          covered += 1;
+        }
+      }
+    }
+
+    return total > 0 ? {covered, total} : null;
+  }
+
+  /**
+   * Gets the coverage type of a line of the lines response.
+   * @param {object} responseLine Has 'line', 'count' and optionally
+   *     'branches' properties.
+   * @return {string} Returns 'NOT_COVERED' if the line is not executed,
+   *     'PARTIALLY_COVERED' if some of its branches are not taken, otherwise,
+   *     'COVERED'.
+   */
+  getLineCoverageType(responseLine) {
+    if (responseLine.count <= 0) {
+      return 'NOT_COVERED';
+    }
+
+    const branches = responseLine.branches;
+    if (branches && branches.taken < branches.total) {
+      return 'PARTIALLY_COVERED';
+    }
+
+    return 'COVERED';
+  }
+
+  /**
+   * Converts the JSON response to coverage ranges needed by coverage layer.
+   * @param {object} responseJson The JSON response returned from coverage
+   *     service.
+   * @return {object} Returns an object whose properties are file paths and
+   *     corresponding values are a list of coverage ranges if the JSON
+   *     response has valid format, otherwise, returns null.
+   */
+  convertResponseJsonToCoverageRanges(responseJson) {
+    if (!responseJson.data) {
+      throw new Error('Invalid coverage lines response format. Expecting ' +
+                      '"data" property');
+    }
+
+    const responseData = responseJson.data;
+    if (!responseData.files) {
+      throw new Error('Invalid coverage lines response format. Expecting ' +
+                      '"files" property');
+    }
+
+    const responseFiles = responseData.files;
+    let coverageRanges = {};
+
+    for (var i = 0; i < responseFiles.length; i++) {
+      const responseFile = responseFiles[i];
+      if (!responseFile.path || !responseFile.lines) {
+        throw new Error('Invalid coverage lines response format. Expecting ' +
+                        '"path" and "lines" properties');
+      }
+
+      coverageRanges[responseFile.path] = new Array();
+      const addRange = (range, hitCounts) => {
+        if (responseFile.has_hit_counts !== false) {
+          range.hit_counts = hitCounts;
+        }
+        coverageRanges[responseFile.path].push(range);
+      };
+      const responseLines = responseFile.lines;
+      responseLines.sort((a, b) => (a.line > b.line)? 1 : -1);
+      let startLine = -1;
+      let endLine = -1;
+      let type = null;
+      let hitCounts = [];
+      for (var j = 0; j < responseLines.length; j++) {
+        const responseLine = responseLines[j];
+        if (!responseLine.line || responseLine.count == null) {
+          throw new Error('Invalid coverage lines response format. ' +
+                          'Expecting "line" and "count" properties');
+        }
+
+        if (startLine != -1 &&
+            responseLine.line == endLine + 1 &&
+            type == this.getLineCoverageType(responseLine)) {
+          endLine += 1;
+          hitCounts.push(responseLine.count);
+          continue;
+        }
+
+        if (startLine != -1) {
+          addRange({
+            side: 'right',
+            type: type,
+            code_range: {
+              start_line: startLine,
+              end_line: endLine,
+            },
+          }, hitCounts);
+        }
+
+        startLine = responseLine.line;
+        endLine = startLine;
+        type = this.getLineCoverageType(responseLine);
+        hitCounts = [responseLine.count];
+      }
+
+      if (startLine != -1) {
+        addRange({
+          side: 'right',
+          type: type,
+          code_range: {
+            start_line: startLine,
+            end_line: endLine,
+          },
+        }, hitCounts);
+      }
+    }
+
+    return coverageRanges;
+  }
+
+  /**
+   * Fetches code coverage ranges from coverage service for a patchset.
+   *
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @return {promise} Resolves to a map of files to coverage ranges if the
+   *     coverage ata is successfully retrieved and parsed, otherwise,
+   *     resolves to null.
+   */
+  async fetchCoverageRanges(changeInfo) {
+    const responseJson = await this.fetchCoverageJsonData(changeInfo,
+                                                          'lines');
+    return this.convertResponseJsonToCoverageRanges(responseJson);
+  }
+
+  /**
+   * Computes the coverage of a file from its lines, for responses that have
+   * no percentages.
+   * @param {Array} lines The lines of the file in the lines response.
+   * @return {object} Returns an object with 'absolute_coverage' and, if the
+   *     lines have branches or unit tests counts, 'branch_coverage' and
+   *     'absolute_unit_tests_coverage' properties, of the same format as in
+   *     the percentages response.
+   */
+  computeCoverageFromLines(lines) {
+    const coverage = {
+      absolute_coverage: {
+        covered: lines.filter((line) => line.count > 0).length,
+        total: lines.length,
+      },
+    };
+    if (lines.some((line) => line.unit_tests_count !== undefined)) {
+      coverage.absolute_unit_tests_coverage = {
+        covered: lines.filter((line) => line.unit_tests_count > 0).length,
+        total: lines.length,
+      };
+    }
+    const linesWithBranches = lines.filter((line) => line.branches);
+    if (linesWithBranches.length > 0) {
+      coverage.branch_coverage = {
+        covered: linesWithBranches.reduce(
+            (covered, line) => covered + line.branches.taken, 0),
+        total: linesWithBranches.reduce(
+            (total, line) => total + line.branches.total, 0),
+      };
+    }
+
+    return coverage;
+  }
+
+  /**
+   * Converts the JSON response to coverage percentages.
+   * @param {object} responseJson The JSON response returned from coverage
    *     service.
    * @return {object} Returns an object whose properties are file paths and
    *     corresponding values are objects representing absolute and
@@ -343,6 +1392,13 @@ export class CoverageClient {
 
     const coveragePercentages = {};
     for (let responseFile of responseData.files) {
+      if (responseFile.path && !responseFile.absolute_coverage &&
+          responseFile.lines) {
+        responseFile = Object.assign(
+            {}, this.computeCoverageFromLines(responseFile.lines),
+            responseFile);
+      }
+
       if (!responseFile.path || !responseFile.absolute_coverage) {
         throw new Error('Invalid coverage percentages response format. ' +
                         'Expecting "path" and "absolute_coverage" ' +
@@ -354,195 +1410,1594 @@ export class CoverageClient {
         incremental: null,
         absolute_unit_tests: null,
         incremental_unit_tests: null,
+        branch: null,
+        // Raw line counts the percentages are computed from, kept so that
+        // coverage can be aggregated across files.
+        counts: {
+          absolute: null,
+          incremental: null,
+          absolute_unit_tests: null,
+          incremental_unit_tests: null,
+          branch: null,
+        },
       };
 
-      if(responseFile.absolute_coverage){
-        fileCov.absolute = Math.round(responseFile.absolute_coverage.covered * 100 /
-          responseFile.absolute_coverage.total);
-      }
-      if (responseFile.incremental_coverage) {
-        fileCov.incremental = Math.round(
-            responseFile.incremental_coverage.covered * 100 /
-              responseFile.incremental_coverage.total);
-      }
-      if (responseFile.absolute_unit_tests_coverage) {
-        fileCov.absolute_unit_tests = Math.round(
-            responseFile.absolute_unit_tests_coverage.covered * 100 /
-              responseFile.absolute_unit_tests_coverage.total);
-      }
-      if (responseFile.incremental_unit_tests_coverage ) {
-        fileCov.incremental_unit_tests = Math.round(
-            responseFile.incremental_unit_tests_coverage.covered * 100 /
-              responseFile.incremental_unit_tests_coverage.total);
+      const types = new Set(COVERAGE_TYPES);
+      for (const property of Object.keys(responseFile)) {
+        if (property.endsWith('_coverage')) {
+          types.add(property.slice(0, -'_coverage'.length));
+        }
+      }
+      for (const type of types) {
+        const coverage = responseFile[`${type}_coverage`];
+        fileCov[type] = fileCov[type] || null;
+        fileCov.counts[type] = fileCov.counts[type] || null;
+        if (coverage && coverage.total > 0) {
+          fileCov[type] = Math.round(coverage.covered * 100 / coverage.total);
+          fileCov.counts[type] = {
+            covered: coverage.covered,
+            total: coverage.total,
+          };
+        }
+      }
+
+      coveragePercentages[responseFile.path] = fileCov;
+    }
+
+    return coveragePercentages;
+  }
+
+  /**
+   * Fetches code coverage percentages from coverage service for a patchset.
+   *
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @return {promise} Resolves to a map of files to coverage percentages if
+   *     coverage data is successfully retrieved and parsed, otherwise,
+   *     resolves to null.
+   */
+  async fetchCoveragePercentages(changeInfo) {
+    const responseJson = await this.addIncrementalCoverage(
+        changeInfo, await this.fetchCoverageJsonData(changeInfo,
+                                                     'percentages'));
+    return this.convertResponseJsonToCoveragePercentages(responseJson);
+  }
+
+  /**
+   * Adds the incremental coverage that the percentages response leaves out,
+   * computed from the lines and the lines added by the patchset.
+   *
+   * The lines are those of the response if it has them, otherwise they are
+   * fetched. If the lines have unit tests counts, the incremental coverage
+   * of unit tests is computed as well. With the 'computeIncremental' setting,
+   * the incremental coverage of the response is replaced too, such as for
+   * services that compute it against a different base. If the lines or the
+   * added lines can't be fetched, it rejects rather than resolving to
+   * percentages without incremental coverage, which would be cached and
+   * persisted as if they were complete.
+   *
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {object} responseJson The percentages response, see
+   *     fetchCoverageJsonData.
+   * @return {promise} Resolves to the percentages response with the
+   *     incremental coverage added.
+   */
+  async addIncrementalCoverage(changeInfo, responseJson) {
+    const config = (await this.getCoverageConfig(changeInfo.project)) || {};
+    const computeAll = toBoolean(config.computeIncremental);
+    const files = (responseJson.data && responseJson.data.files) || [];
+    const incompleteFiles = files.filter((file) => {
+      return computeAll || file.incremental_coverage === undefined;
+    });
+    if (incompleteFiles.length == 0) {
+      return responseJson;
+    }
+
+    const lines = {};
+    if (incompleteFiles.every((file) => file.lines)) {
+      for (const file of incompleteFiles) {
+        lines[file.path] = file.lines;
+      }
+    } else {
+      const linesJson = await this.fetchCoverageJsonData(changeInfo, 'lines');
+      for (const file of linesJson.data.files) {
+        lines[file.path] = file.lines;
+      }
+    }
+    const addedLines = await this.fetchAddedLines(
+        changeInfo, incompleteFiles.map((file) => file.path));
+
+    // Copies the files, as the response may be shared by other fetches.
+    return Object.assign({}, responseJson, {
+      data: Object.assign({}, responseJson.data, {
+        files: files.map((file) => {
+          const fileLines = lines[file.path];
+          if (!incompleteFiles.includes(file) || !fileLines) {
+            return file;
+          }
+
+          const completeFile = Object.assign({}, file, {
+            incremental_coverage: this.computeIncrementalCoverage(
+                fileLines, addedLines[file.path]),
+          });
+          if (fileLines.some((line) => line.unit_tests_count !== undefined)) {
+            completeFile.incremental_unit_tests_coverage =
+                this.computeIncrementalCoverage(
+                    fileLines, addedLines[file.path], 'unit_tests_count');
+          }
+          return completeFile;
+        }),
+      }),
+    });
+  }
+
+  /**
+   * Fetches coverage data, retrying with backoff while it is still being
+   * computed.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {function} isCurrent Returns whether the data is still needed,
+   *     such as whether it is still the data of the current patchset.
+   * @param {function} fetchData Returns a promise of the data.
+   * @param {function} onPending Called with the error before each retry,
+   *     optional.
+   * @return {promise} Resolves to the data. Rejects with the last error if
+   *     the data is still pending after the configured number of retries.
+   */
+  async retryWhilePending(changeInfo, isCurrent, fetchData,
+                          onPending=() => {}) {
+    const config = (await this.getCoverageConfig(changeInfo.project)) || {};
+    const retries = parseInt(config.pendingRetries);
+    const maxRetries = isNaN(retries) ? PENDING_RETRIES : retries;
+    const delay = parseFloat(config.pendingRetryDelay);
+    let retryDelay = (isNaN(delay) ? PENDING_RETRY_DELAY : delay) * 1000;
+
+    for (let retry = 0; ; retry++) {
+      try {
+        return await fetchData();
+      } catch(error) {
+        if (!(error instanceof CoveragePendingError) ||
+            retry >= maxRetries || !isCurrent()) {
+          throw error;
+        }
+        onPending(error);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      retryDelay *= 2;
+    }
+  }
+
+  /**
+   * Registers a function to call whenever coverage ranges arrive, such as
+   * once coverage data that was still being computed is available.
+   * @param {function} listener Called with the coverage ranges, see
+   *     rangesPromise, and the side of the diff they are on.
+   */
+  addCoverageListener(listener) {
+    this.coverageListeners.push(listener);
+  }
+
+  /**
+   * Registers a function to call whenever the status of the coverage data
+   * changes.
+   * @param {function} listener Called with the status, see
+   *     coverageData.status.
+   */
+  addStatusListener(listener) {
+    this.statusListeners.add(listener);
+  }
+
+  /**
+   * Unregisters a function registered by addStatusListener.
+   * @param {function} listener The function.
+   */
+  removeStatusListener(listener) {
+    this.statusListeners.delete(listener);
+  }
+
+  /**
+   * Gets the status of coverage data that failed to be fetched.
+   *
+   * The states are 'loading' and 'ready', and for errors, 'pending',
+   * 'not-configured', 'unsupported', 'disabled', 'sign-in' and 'failed'.
+   * @param {Error} error The error.
+   * @return {object} See coverageData.status.
+   */
+  getCoverageStatus(error) {
+    const states = [
+      [CoveragePendingError, 'pending'],
+      [CoverageNotConfiguredError, 'not-configured'],
+      [ProjectNotSupportedError, 'unsupported'],
+      [CoverageServiceDisabledError, 'disabled'],
+      [CoverageAuthError, 'sign-in'],
+    ];
+    const match = states.find(([errorClass]) => error instanceof errorClass);
+    return {
+      state: match ? match[1] : 'failed',
+      message: error.message,
+      link: error.signInUrl || null,
+    };
+  }
+
+  /**
+   * Gets the persistent store of coverage data, if a project turns it on.
+   * @param {string} project The name of the project.
+   * @return {promise} Resolves to a PersistentCoverageStore, or null if the
+   *     project doesn't turn it on or IndexedDB is unavailable.
+   */
+  async getPersistentStore(project) {
+    const config = (await this.getCoverageConfig(project)) || {};
+    if (!toBoolean(config.persistCache) || !window.indexedDB) {
+      return null;
+    }
+
+    if (!this.persistentStore) {
+      const maxAge = parseFloat(config.persistentCacheMaxAge);
+      this.persistentStore = new PersistentCoverageStore(
+          (isNaN(maxAge) ? PERSISTENT_CACHE_MAX_AGE : maxAge) * 86400000);
+    }
+    return this.persistentStore;
+  }
+
+  /**
+   * Fetches coverage data of a patchset, looking it up in the persistent
+   * store first and persisting it once fetched.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @param {string} type Type of data: "lines" or "percentages".
+   * @param {function} fetchData Returns a promise of the data.
+   * @return {promise} Resolves to the data.
+   */
+  async fetchWithPersistence(changeInfo, type, fetchData) {
+    const store = await this.getPersistentStore(changeInfo.project);
+    if (!store) {
+      return fetchData();
+    }
+
+    const key = `${getCacheKey(changeInfo)}/${type}`;
+    try {
+      const persistedData = await store.get(key);
+      if (persistedData !== undefined) {
+        return persistedData;
+      }
+    } catch(error) {
+      console.warn(error);
+    }
+
+    const data = await fetchData();
+    if (data) {
+      store.put(key, data).catch((error) => {
+        console.warn(error);
+      });
+    }
+    return data;
+  }
+
+  /**
+   * Fetches code coverage percentages from coverage service for a patchset.
+   *
+   * The data of recently viewed patchsets is kept in coverageCache, and
+   * persisted if the project turns it on. Coverage data that is still being
+   * computed is fetched again with backoff. If the fetch eventually fails,
+   * the data is dropped so that it is fetched again the next time it is
+   * needed. The ranges are only fetched once a diff needs them, see
+   * ensureCoverageRanges.
+   *
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   *     The data is of the selected platform, see selectPlatform.
+   * @param {boolean} isBase Whether the patchset is the base of a diff
+   *     between patchsets, whose data is kept in baseCoverageData.
+   */
+  updateCoverageDataIfNecessary(changeInfo, isBase=false) {
+    if (isNaN(changeInfo.changeNum) || isNaN(changeInfo.patchNum) ||
+        changeInfo.changeNum <= 0 || changeInfo.patchNum <= 0) {
+      return;
+    }
+
+    if (this.platform) {
+      changeInfo = Object.assign({}, changeInfo, {platform: this.platform});
+    }
+
+    const slot = isBase ? 'baseCoverageData' : 'coverageData';
+    if (JSON.stringify(changeInfo) ===
+        JSON.stringify(this[slot].changeInfo)) {
+      return;
+    }
+
+    const notifyStatus = (status) => {
+      for (const listener of this.statusListeners) {
+        listener(status);
+      }
+    };
+    const key = getCacheKey(changeInfo);
+    const cachedData = this.coverageCache.get(key);
+    if (cachedData) {
+      this[slot] = cachedData;
+      if (!isBase) {
+        notifyStatus(cachedData.status);
+      }
+      return;
+    }
+
+    const coverageData = {
+      changeInfo,
+      rangesPromise: null,
+      ranges: null,
+      percentagesPromise: null,
+      status: null,
+      uncoveredPromise: null,
+      // The added lines don't depend on the platform of the data.
+      addedLines: isSamePatchset(this[slot].changeInfo, changeInfo) ?
+          this[slot].addedLines : null,
+    };
+    this.coverageCache.set(key, coverageData);
+    this[slot] = coverageData;
+
+    const isCurrent = () => {
+      return coverageData.changeInfo === changeInfo &&
+          this.isCoverageDataShown(coverageData);
+    };
+    const setStatus = (status) => {
+      if (coverageData.changeInfo !== changeInfo) {
+        return;
+      }
+      coverageData.status = status;
+      if (this.coverageData === coverageData) {
+        notifyStatus(status);
+      }
+    };
+    setStatus({
+      state: 'loading',
+      message: 'Loading code coverage',
+      link: null,
+    });
+    const resetIfCurrent = (error) => {
+      console.warn(error);
+      this.dropCoverageData(coverageData, changeInfo);
+    };
+
+    coverageData.percentagesPromise = this.retryWhilePending(
+        changeInfo, isCurrent, () => this.fetchWithPersistence(
+            changeInfo, 'percentages',
+            () => this.fetchCoveragePercentages(changeInfo)),
+        (error) => {
+          setStatus({
+            state: 'pending',
+            message: `${error.message}, retrying`,
+            link: null,
+          });
+        });
+    coverageData.percentagesPromise.then(() => {
+      setStatus({state: 'ready', message: '', link: null});
+    }, (error) => {
+      setStatus(this.getCoverageStatus(error));
+      resetIfCurrent(error);
+    });
+  }
+
+  /**
+   * Returns whether coverage data is the data of the current patchset or of
+   * the base patchset of the diff, as opposed to data only left in the cache
+   * after navigating away.
+   * @param {object} coverageData The coverage data of a patchset.
+   * @return {boolean}
+   */
+  isCoverageDataShown(coverageData) {
+    return this.coverageData === coverageData ||
+        this.baseCoverageData === coverageData;
+  }
+
+  /**
+   * Drops the coverage data of a patchset if it is still the data of that
+   * patchset, so that it is fetched again the next time it is needed.
+   * @param {object} coverageData The coverage data of the patchset.
+   * @param {object} changeInfo The patchset the data was fetched for.
+   */
+  dropCoverageData(coverageData, changeInfo) {
+    if (coverageData.changeInfo !== changeInfo) {
+      return;
+    }
+
+    this.coverageCache.delete(getCacheKey(changeInfo));
+    coverageData.changeInfo = {
+      host: null,
+      project: null,
+      changeNum: null,
+      patchNum: null,
+    };
+  }
+
+  /**
+   * Fetches the code coverage ranges of a patchset unless they are already
+   * being fetched, and notifies the listeners once they arrive.
+   *
+   * The ranges are much larger than the percentages, so they are only
+   * fetched when a diff is first expanded, unless the backend returns both
+   * in a single response.
+   * @param {object} coverageData The coverage data of the patchset, which is
+   *     this.coverageData or this.baseCoverageData.
+   * @return {promise} Resolves to the coverage ranges, or null if the
+   *     coverage data is not of a patchset.
+   */
+  ensureCoverageRanges(coverageData) {
+    if (coverageData.rangesPromise) {
+      return coverageData.rangesPromise;
+    }
+
+    const changeInfo = coverageData.changeInfo;
+    if (!changeInfo || changeInfo.changeNum === null) {
+      return Promise.resolve(null);
+    }
+
+    const isCurrent = () => {
+      return coverageData.changeInfo === changeInfo &&
+          this.isCoverageDataShown(coverageData);
+    };
+    const rangesPromise = this.retryWhilePending(
+        changeInfo, isCurrent, () => this.fetchWithPersistence(
+            changeInfo, 'lines', () => this.fetchCoverageRanges(changeInfo)));
+    coverageData.rangesPromise = rangesPromise;
+    rangesPromise.then((ranges) => {
+      coverageData.ranges = ranges;
+      for (const [dataSlot, side] of [['coverageData', 'right'],
+                                      ['baseCoverageData', 'left']]) {
+        if (this[dataSlot] === coverageData) {
+          for (const listener of this.coverageListeners) {
+            listener(ranges, side);
+          }
+        }
+      }
+    }).catch((error) => {
+      console.warn(error);
+      this.dropCoverageData(coverageData, changeInfo);
+    });
+    return rangesPromise;
+  }
+
+  /**
+   * Returns whether the base of a diff is a patchset of the change, as
+   * opposed to the parent commit ("PARENT" or a negative parent index).
+   * @param {string} basePatchNum The patchset number of the base patchset.
+   * @return {boolean}
+   */
+  isBasePatchset(basePatchNum) {
+    const patchNum = parseInt(basePatchNum);
+    return !isNaN(patchNum) && patchNum > 0;
+  }
+
+  /**
+   * Provides code coverage ranges for the base side of a diff.
+   * @param {string} path The relative path to the file.
+   * @return {object} Returns a list of coverage ranges on the left side. On
+   *     error, it logs the error and returns an empty list so that the right
+   *     side can still be annotated.
+   */
+  async provideBaseCoverageRanges(path) {
+    try {
+      const coverageRanges = await this.ensureCoverageRanges(
+          this.baseCoverageData);
+      return (coverageRanges[path] || []).map((range) => {
+        return Object.assign({}, range, {side: 'left'});
+      });
+    } catch(error) {
+      console.log(error);
+      return [];
+    }
+  }
+
+  /**
+   * Provides code coverage ranges for a file of a patchset.
+   * @param {string} changeNum The change number of the patchset.
+   * @param {string} path The relative path to the file.
+   * @param {string} basePatchNum The patchset number of the base patchset.
+   * @param {string} patchNum The patchset number of the patchset.
+   * @return {object} Returns a list of coverage ranges. When the base is a
+   *     patchset of the change, ranges of the base patchset are included on
+   *     the left side. On error, it logs the error and returns null/undefined.
+   */
+  async provideCoverageRanges(changeNum, path, basePatchNum, patchNum) {
+    const changeInfo = this.getCurrentChangeInfo(changeNum, patchNum);
+    this.updateCoverageDataIfNecessary(changeInfo);
+
+    const hasBase = this.isBasePatchset(basePatchNum);
+    if (hasBase) {
+      this.updateCoverageDataIfNecessary(
+          Object.assign({}, changeInfo, {patchNum: parseInt(basePatchNum)}),
+          true);
+    }
+
+    try {
+      const coverageRanges = await this.ensureCoverageRanges(
+          this.coverageData);
+      const ranges = coverageRanges[path] || [];
+      if (!hasBase) {
+        return ranges;
+      }
+
+      return ranges.concat(await this.provideBaseCoverageRanges(path));
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the execution count of a line from coverage ranges.
+   * @param {Array} ranges The coverage ranges of a file, optional.
+   * @param {number} line The line number.
+   * @return {number} Returns the execution count of the line, or null if the
+   *     line is not instrumented.
+   */
+  getHitCount(ranges, line) {
+    for (const range of ranges || []) {
+      const codeRange = range.code_range;
+      if (range.hit_counts && codeRange.start_line <= line &&
+          line <= codeRange.end_line) {
+        return range.hit_counts[line - codeRange.start_line];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Formats the execution count of a line for display.
+   * @param {number} count The execution count, expected to be positive.
+   * @return {string} Returns text such as "Hit once" or "Hit 10,234×", which
+   *     flags lines on a hot path.
+   */
+  formatHitCount(count) {
+    if (count == 1) {
+      return 'Hit once.';
+    }
+
+    const text = `Hit ${count.toLocaleString('en-US')}×`;
+    return count >= HOT_LINE_HIT_COUNT ? `${text} (hot path).` : `${text}.`;
+  }
+
+  /**
+   * Annotates the line numbers of covered lines with their execution counts.
+   *
+   * This method is supposed to be registered as a diff annotation layer. As
+   * layers are applied synchronously, only coverage ranges that have already
+   * been fetched are used.
+   * @param {object} context The annotation context of a line, which has the
+   *     'path', 'line' and 'lineNumberEl' properties.
+   */
+  annotateHitCounts(context) {
+    const lineNumberEl = context.lineNumberEl;
+    if (!context.line || !lineNumberEl) {
+      return;
+    }
+
+    const isLeft = lineNumberEl.classList.contains('left');
+    const coverageData = isLeft ? this.baseCoverageData : this.coverageData;
+    if (!coverageData.ranges) {
+      return;
+    }
+
+    const line = isLeft ? context.line.beforeNumber :
+                          context.line.afterNumber;
+    const count = this.getHitCount(coverageData.ranges[context.path], line);
+    if (!count) {
+      return;
+    }
+
+    // Keeps the tooltip that the coverage layer may have set.
+    const hitCountText = this.formatHitCount(count);
+    if (!lineNumberEl.title.includes(hitCountText)) {
+      lineNumberEl.title = [lineNumberEl.title, hitCountText].filter(
+          (text) => text).join(' ');
+    }
+  }
+
+  /**
+   * Prefetch coverage percentages.
+   *
+   * This method is supposed to be triggered by the 'showchange' event. The
+   * coverage ranges are left to be fetched when a diff is first expanded.
+   *
+   * @param {ChangeInfo} change Info of the current change.
+   * @param {RevisionInfo} revision Info of the current revision.
+   */
+  prefetchCoverageRanges(change, revision) {
+    const changeInfo = {
+      host: this.getNormalizedHost(window.location.host),
+      project: change.project,
+      changeNum: parseInt(change._number),
+      patchNum: parseInt(revision._number),
+    };
+    this.updateCoverageDataIfNecessary(changeInfo);
+  }
+
+  /**
+   * Provides code coverage percentage for a file of a patchset.
+   * @param {string} changeNum The change number of the patchset.
+   * @param {string} path The relative path to the file.
+   * @param {string} patchNum The patchset number of the patchset.
+   * @param {string} basePatchNum The patchset number of the base patchset,
+   *     optional.
+   * @return {object} Returns an object representing the absolute and
+   *     incremental coverages. When the base is a patchset of the change, the
+   *     object has a 'base' property holding the coverages of the file in the
+   *     base patchset, or null if they are not available. On error, it logs
+   *     the error and returns null/undefined.
+   */
+  async provideCoveragePercentages(changeNum, path, patchNum, basePatchNum) {
+    const changeInfo = this.getCurrentChangeInfo(changeNum, patchNum);
+    this.updateCoverageDataIfNecessary(changeInfo);
+
+    const hasBase = this.isBasePatchset(basePatchNum);
+    if (hasBase) {
+      this.updateCoverageDataIfNecessary(
+          Object.assign({}, changeInfo, {patchNum: parseInt(basePatchNum)}),
+          true);
+    }
+
+    try {
+      const coveragePercentages = await this.coverageData.percentagesPromise;
+      const fileCov = coveragePercentages[path];
+      if (!fileCov || !hasBase) {
+        return fileCov;
+      }
+
+      return Object.assign({}, fileCov, {
+        base: await this.provideBaseCoveragePercentages(path),
+      });
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+  }
+
+  /**
+   * Ranks the files of a patchset by a type of coverage, leaving out the
+   * files without that coverage.
+   * @param {object} coveragePercentages The coverage percentages, see
+   *     convertResponseJsonToCoveragePercentages.
+   * @param {string} type The type of coverage, such as 'incremental'.
+   * @return {Array} Returns a list of objects with 'path', 'percentage' and
+   *     'counts' properties, from the least to the most covered file. Files
+   *     with the same rounded percentage are ranked by the exact counts, and
+   *     then by path.
+   */
+  rankFilesByCoverage(coveragePercentages, type) {
+    const ratio = (file) => {
+      return file.counts ? file.counts.covered / file.counts.total :
+          file.percentage / 100;
+    };
+    return Object.entries(coveragePercentages).filter(([path, fileCov]) => {
+      return fileCov[type] != null;
+    }).map(([path, fileCov]) => {
+      return {
+        path,
+        percentage: fileCov[type],
+        counts: (fileCov.counts && fileCov.counts[type]) || null,
+      };
+    }).sort((a, b) => {
+      return ratio(a) - ratio(b) || (a.path < b.path ? -1 : 1);
+    });
+  }
+
+  /**
+   * Gets the URL of the diff of a file in a patchset.
+   * @param {object} changeInfo Has project, changeNum and patchNum.
+   * @param {string} path The relative path to the file.
+   * @param {string} basePatchNum The patchset number of the base patchset,
+   *     optional.
+   * @return {string}
+   */
+  getDiffUrl(changeInfo, path, basePatchNum) {
+    const encodePath = (value) => {
+      return value.split('/').map(encodeURIComponent).join('/');
+    };
+    const range = this.isBasePatchset(basePatchNum) ?
+        `${basePatchNum}..${changeInfo.patchNum}` : `${changeInfo.patchNum}`;
+    return `/c/${encodePath(changeInfo.project)}/+/${changeInfo.changeNum}/` +
+        `${range}/${encodePath(path)}`;
+  }
+
+  /**
+   * Provides the files of a patchset ranked by a type of coverage, with links
+   * to their diffs.
+   * @param {string} changeNum The change number of the patchset.
+   * @param {string} patchNum The patchset number of the patchset.
+   * @param {string} type The type of coverage, such as 'incremental'.
+   * @param {string} basePatchNum The patchset number of the base patchset,
+   *     optional.
+   * @return {Array} Returns a list of files as returned by
+   *     rankFilesByCoverage, each with a 'url' property. On error, it logs
+   *     the error and returns null.
+   */
+  async provideFileRanking(changeNum, patchNum, type, basePatchNum) {
+    const changeInfo = this.getCurrentChangeInfo(changeNum, patchNum);
+    this.updateCoverageDataIfNecessary(changeInfo);
+    try {
+      const coveragePercentages = await this.coverageData.percentagesPromise;
+      return this.rankFilesByCoverage(coveragePercentages, type).map(
+          (file) => {
+            return Object.assign(file, {
+              url: this.getDiffUrl(changeInfo, file.path, basePatchNum),
+            });
+          });
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+  }
+
+  /**
+   * Provides code coverage percentages for a file of the base patchset.
+   * @param {string} path The relative path to the file.
+   * @return {object} Returns an object representing the absolute and
+   *     incremental coverages. On error, it logs the error and returns null.
+   */
+  async provideBaseCoveragePercentages(path) {
+    try {
+      const coveragePercentages =
+          await this.baseCoverageData.percentagesPromise;
+      return coveragePercentages[path] || null;
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+  }
+
+  /**
+   * Provides change-wide coverage percentages of a patchset.
+   * @param {string} changeNum The change number of the patchset.
+   * @param {string} patchNum The patchset number of the patchset.
+   * @return {object} Returns an object representing the aggregated absolute
+   *     and incremental coverages, see computeAggregateCoverage. On error, it
+   *     logs the error and returns null/undefined.
+   */
+  async provideCoverageSummary(changeNum, patchNum) {
+    const changeInfo = this.getCurrentChangeInfo(changeNum, patchNum);
+    this.updateCoverageDataIfNecessary(changeInfo);
+    try {
+      const coveragePercentages = await this.coverageData.percentagesPromise;
+      return computeAggregateCoverage(coveragePercentages);
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+  }
+
+  /**
+   * Provides the coverage of a patchset rolled up by directory, see
+   * rollUpCoverageByDirectory, with links to the diffs of the files.
+   * @param {string} changeNum The change number of the patchset.
+   * @param {string} patchNum The patchset number of the patchset.
+   * @param {string} basePatchNum The patchset number of the base patchset,
+   *     optional.
+   * @return {object} Returns the root directory, whose files each have a
+   *     'url' property. On error, it logs the error and returns null.
+   */
+  async provideDirectoryCoverage(changeNum, patchNum, basePatchNum) {
+    const changeInfo = this.getCurrentChangeInfo(changeNum, patchNum);
+    this.updateCoverageDataIfNecessary(changeInfo);
+    try {
+      const coveragePercentages = await this.coverageData.percentagesPromise;
+      const root = rollUpCoverageByDirectory(coveragePercentages);
+      const addUrls = (directory) => {
+        for (const file of directory.files) {
+          file.url = this.getDiffUrl(changeInfo, file.path, basePatchNum);
+        }
+        directory.directories.forEach(addUrls);
+      };
+      addUrls(root);
+      return root;
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the coverage of a patchset to export, see formatCoverageExport.
+   * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @return {promise} Resolves to an object with the following format:
+   *     {
+   *       project: 'chromium/src',
+   *       change: 12345,
+   *       patchset: 2,
+   *       platform: 'linux', // See getSelectedPlatform.
+   *       dimensions: [...], // See getCoverageDimensions.
+   *       summary: {...}, // As returned by computeAggregateCoverage.
+   *       files: [
+   *         {
+   *           path: 'base/test.cc',
+   *           coverage: {...}, // The coverage percentages of the file.
+   *           uncovered_added_lines: [{start_line: 11, end_line: 12}],
+   *         },
+   *       ],
+   *     }
+   *     Only the dimensions that some file has are exported. The uncovered
+   *     added lines are null if the coverage of the lines isn't available.
+   */
+  async getCoverageExport(changeInfo) {
+    this.updateCoverageDataIfNecessary(changeInfo);
+    const coverageData = this.coverageData;
+    const config = (await this.getCoverageConfig(changeInfo.project)) || {};
+    const coveragePercentages = await coverageData.percentagesPromise;
+    let targets = null;
+    try {
+      targets = await this.getUncoveredTargets(changeInfo);
+    } catch(error) {
+      console.warn(error);
+    }
+
+    const summary = computeAggregateCoverage(coveragePercentages);
+    return {
+      project: changeInfo.project,
+      change: changeInfo.changeNum,
+      patchset: changeInfo.patchNum,
+      platform: this.getSelectedPlatform(
+          config, coverageData.changeInfo.platform),
+      dimensions: this.getCoverageDimensions(config, coveragePercentages)
+          .filter((dimension) => summary[dimension.type] != null),
+      summary,
+      files: Object.keys(coveragePercentages).sort().map((path) => {
+        return {
+          path,
+          coverage: coveragePercentages[path],
+          uncovered_added_lines: targets && targets.filter((target) => {
+            return target.path === path;
+          }).map(({start_line, end_line}) => ({start_line, end_line})),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Provides the coverage of a patchset exported to a file.
+   * @param {string} changeNum The change number of the patchset.
+   * @param {string} patchNum The patchset number of the patchset.
+   * @param {string} format The format, see formatCoverageExport.
+   * @return {object} Returns an object with 'filename', 'mimeType' and
+   *     'content' properties. On error, it logs the error and returns null.
+   */
+  async provideCoverageExport(changeNum, patchNum, format) {
+    const changeInfo = this.getCurrentChangeInfo(changeNum, patchNum);
+    try {
+      const report = await this.getCoverageExport(changeInfo);
+      const content = formatCoverageExport(report, format);
+      const name = ['coverage', report.change, report.patchset]
+          .concat(report.platform ? [report.platform] : []).join('-');
+      return {
+        filename: `${name}.${EXPORT_FORMATS[format].extension}`,
+        mimeType: EXPORT_FORMATS[format].mimeType,
+        content,
+      };
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the rules of the low coverage warning from the coverage config.
+   *
+   * The following settings of the config are used:
+   * - lowCoverageThreshold: The bar of incremental coverage, 70 by default.
+   * - lowAbsoluteCoverageThreshold: The bar of absolute coverage, optional.
+   * - lowUnitTestsCoverageThreshold: The bar of incremental coverage of unit
+   *   tests, optional.
+   * - pathThreshold: One or more "<glob> <bar>" values, overriding the bar of
+   *   incremental coverage for matching paths. The first match wins.
+   * - exemptPath: One or more globs of paths that are never warned about.
+   * @param {object} config The coverage config of the project.
+   * @return {object} Returns an object with 'thresholds', 'pathThresholds'
+   *     and 'exemptPaths' properties.
+   */
+  getLowCoverageRules(config) {
+    const parseThreshold = (value) => {
+      const threshold = parseFloat(value);
+      return isNaN(threshold) ? null : threshold;
+    };
+
+    const thresholds = {
+      incremental: LOW_COVERAGE_WARNING_BAR,
+      absolute: parseThreshold(config.lowAbsoluteCoverageThreshold),
+      incremental_unit_tests: parseThreshold(
+          config.lowUnitTestsCoverageThreshold),
+    };
+    if (parseThreshold(config.lowCoverageThreshold) !== null) {
+      thresholds.incremental = parseThreshold(config.lowCoverageThreshold);
+    }
+
+    const pathThresholds = [];
+    for (const value of toList(config.pathThreshold)) {
+      const fields = value.trim().split(/\s+/);
+      const threshold = parseThreshold(fields[1]);
+      if (fields.length != 2 || threshold === null) {
+        console.warn(`Ignoring malformed pathThreshold "${value}"`);
+        continue;
+      }
+      pathThresholds.push({pattern: globToRegExp(fields[0]), threshold});
+    }
+
+    return {
+      thresholds,
+      pathThresholds,
+      exemptPaths: toList(config.exemptPath).map(
+          (glob) => globToRegExp(glob.trim())),
+    };
+  }
+
+  /**
+   * Gets the bars of the low coverage warning for a file.
+   * @param {object} rules The rules as returned by getLowCoverageRules.
+   * @param {string} path The relative path to the file.
+   * @return {object} Returns an object whose properties are coverage types
+   *     and corresponding values are the bars, or null if the file is exempt.
+   */
+  getLowCoverageThresholds(rules, path) {
+    if (rules.exemptPaths.some((pattern) => pattern.test(path))) {
+      return null;
+    }
+
+    const thresholds = Object.assign({}, rules.thresholds);
+    const pathThreshold = rules.pathThresholds.find(
+        (pathThreshold) => pathThreshold.pattern.test(path));
+    if (pathThreshold) {
+      thresholds.incremental = pathThreshold.threshold;
+    }
+
+    return thresholds;
+  }
+
+  /**
+   * Gets the uncovered ranges of the added lines of a file.
+   * @param {Array} ranges The coverage ranges of the file, optional.
+   * @param {Array} addedLines The line numbers of the added lines, optional.
+   * @return {Array} Returns a list of objects with 'start_line' and
+   *     'end_line' properties, one per run of consecutive uncovered added
+   *     lines.
+   */
+  getUncoveredAddedRanges(ranges, addedLines) {
+    const added = new Set(addedLines || []);
+    const uncoveredRanges = [];
+    for (const range of ranges || []) {
+      if (range.type !== 'NOT_COVERED') {
+        continue;
       }
 
-      coveragePercentages[responseFile.path] = fileCov;
+      const codeRange = range.code_range;
+      let current = null;
+      for (let line = codeRange.start_line; line <= codeRange.end_line;
+           line++) {
+        if (!added.has(line)) {
+          current = null;
+        } else if (current) {
+          current.end_line = line;
+        } else {
+          current = {start_line: line, end_line: line};
+          uncoveredRanges.push(current);
+        }
+      }
     }
 
-    return coveragePercentages;
+    return uncoveredRanges;
   }
 
   /**
-   * Fetches code coverage percentages from coverage service for a patchset.
-   *
+   * Gets the code pointers to the uncovered added lines of files.
    * @param {object} changeInfo Has host, project, changeNum and patchNum.
-   * @return {promise} Resolves to a map of files to coverage percentages if
-   *     coverage data is successfully retrieved and parsed, otherwise,
-   *     resolves to null.
+   * @param {Array} paths The relative paths to the files.
+   * @return {promise} Resolves to an object whose properties are file paths
+   *     and corresponding values are lists of code pointers. On error, it
+   *     logs the error and resolves to an empty object.
    */
-  async fetchCoveragePercentages(changeInfo) {
-    const responseJson = await this.fetchCoverageJsonData(changeInfo,
-                                                          'percentages');
-    return this.convertResponseJsonToCoveragePercentages(responseJson);
+  async getUncoveredCodePointers(changeInfo, paths) {
+    if (paths.length == 0) {
+      return {};
+    }
+
+    try {
+      const [coverageRanges, addedLines] = await Promise.all([
+        this.ensureCoverageRanges(this.coverageData),
+        this.fetchAddedLines(changeInfo, paths),
+      ]);
+      const codePointers = {};
+      for (const path of paths) {
+        codePointers[path] = this.getUncoveredAddedRanges(
+            coverageRanges && coverageRanges[path], addedLines[path]).map(
+            (range) => {
+              return {
+                path,
+                range: {
+                  start_line: range.start_line,
+                  start_character: 0,
+                  end_line: range.end_line,
+                  end_character: 0,
+                },
+              };
+            });
+      }
+      return codePointers;
+    } catch(error) {
+      console.log(error);
+      return {};
+    }
   }
 
   /**
-   * Fetches code coverage ranges from coverage service for a patchset.
-   *
+   * Gets the runs of uncovered added lines of the current patchset, in the
+   * order they are navigated through.
    * @param {object} changeInfo Has host, project, changeNum and patchNum.
+   * @return {promise} Resolves to a list of objects with 'path',
+   *     'start_line' and 'end_line' properties, sorted by path and line.
    */
-  updateCoverageDataIfNecessary(changeInfo) {
-    if (isNaN(changeInfo.changeNum) || isNaN(changeInfo.patchNum) ||
-        changeInfo.changeNum <= 0 || changeInfo.patchNum <= 0) {
-      return;
+  getUncoveredTargets(changeInfo) {
+    this.updateCoverageDataIfNecessary(changeInfo);
+    const coverageData = this.coverageData;
+    if (coverageData.uncoveredPromise) {
+      return coverageData.uncoveredPromise;
     }
 
-    if (JSON.stringify(changeInfo) !==
-        JSON.stringify(this.coverageData.changeInfo)) {
-      this.coverageData.changeInfo = changeInfo;
-      this.coverageData.rangesPromise = this.fetchCoverageRanges(changeInfo);
-      this.coverageData.rangesPromise.catch((error) => {
-        console.warn(error);
-      });
-      this.coverageData.percentagesPromise = this.fetchCoveragePercentages(
-          changeInfo);
-      this.coverageData.percentagesPromise.catch((error) => {
-        console.warn(error);
-      })
-    }
+    coverageData.uncoveredPromise = (async () => {
+      const coverageRanges =
+          (await this.ensureCoverageRanges(coverageData)) || {};
+      const paths = Object.keys(coverageRanges).filter((path) => {
+        return coverageRanges[path].some(
+            (range) => range.type === 'NOT_COVERED');
+      }).sort();
+      const addedLines = await this.fetchAddedLines(changeInfo, paths);
+      const targets = [];
+      for (const path of paths) {
+        for (const range of this.getUncoveredAddedRanges(
+            coverageRanges[path], addedLines[path])) {
+          targets.push(Object.assign({path}, range));
+        }
+      }
+      return targets;
+    })();
+    // Computes them again next time, such as once the ranges are available.
+    coverageData.uncoveredPromise.catch(() => {
+      coverageData.uncoveredPromise = null;
+    });
+    return coverageData.uncoveredPromise;
   }
 
   /**
-   * Provides code coverage ranges for a file of a patchset.
-   * @param {string} changeNum The change number of the patchset.
-   * @param {string} path The relative path to the file.
-   * @param {string} basePatchNum The patchset number of the base patchset.
-   * @param {string} patchNum The patchset number of the patchset.
-   * @return {object} Returns a list of coverage ranges. On error, it logs the
-   *     error and returns null/undefined.
+   * Provides the uncovered added lines before and after a position in the
+   * current change, wrapping around at either end.
+   * @param {object} location The position, as returned by parseDiffLocation.
+   *     Without a path, the next target is the first one and the previous
+   *     target is the last one.
+   * @return {object} Returns an object with 'total', 'previous' and 'next'
+   *     properties, the latter being objects with 'path', 'start_line',
+   *     'end_line' and 'url' properties, or null if there are no uncovered
+   *     added lines. On error, it logs the error and returns null.
    */
-  async provideCoverageRanges(changeNum, path, basePatchNum, patchNum) {
+  async provideUncoveredNavigation(location) {
+    let patchNum = location.patchNum;
+    if (!patchNum && this.coverageData.changeInfo.changeNum ===
+        location.changeNum) {
+      patchNum = this.coverageData.changeInfo.patchNum;
+    }
+    if (!patchNum) {
+      return null;
+    }
+
     const changeInfo = {
       host: this.getNormalizedHost(window.location.host),
-      project: this.parseProjectFromPathName(window.location.pathname),
-      changeNum: parseInt(changeNum),
-      patchNum: parseInt(patchNum),
+      project: location.project,
+      changeNum: location.changeNum,
+      patchNum,
     };
-    this.updateCoverageDataIfNecessary(changeInfo);
+    let targets;
     try {
-      const coverageRanges = await this.coverageData.rangesPromise;
-      return coverageRanges[path] || [];
+      targets = await this.getUncoveredTargets(changeInfo);
     } catch(error) {
       console.log(error);
       return null;
     }
+
+    const compare = (target) => {
+      if (!location.path) {
+        return 0;
+      }
+      if (target.path !== location.path) {
+        return target.path < location.path ? -1 : 1;
+      }
+      const line = location.line || 0;
+      if (target.end_line < line) {
+        return -1;
+      }
+      return target.start_line > line ? 1 : 0;
+    };
+    const withUrl = (target) => {
+      return target && Object.assign({}, target, {
+        url: this.getDiffUrl(changeInfo, target.path,
+                             location.basePatchNum) +
+            `#${target.start_line}`,
+      });
+    };
+    const next = targets.find((target) => compare(target) > 0) ||
+        targets[0];
+    const previous = targets.slice().reverse().find(
+        (target) => compare(target) < 0) || targets[targets.length - 1];
+    return {
+      total: targets.length,
+      previous: withUrl(previous),
+      next: withUrl(next),
+    };
   }
 
   /**
-   * Prefetch coverage ranges.
-   *
-   * This method is supposed to be triggered by the 'showchange' event.
-   *
-   * @param {ChangeInfo} change Info of the current change.
-   * @param {RevisionInfo} revision Info of the current revision.
+   * Navigates to the uncovered added lines before or after a position in the
+   * current change.
+   * @param {object} location The position, as returned by parseDiffLocation.
+   * @param {string} direction Either 'previous' or 'next'.
+   * @return {promise} Resolves to the navigation as returned by
+   *     provideUncoveredNavigation.
    */
-  prefetchCoverageRanges(change, revision) {
-    const changeInfo = {
-      host: this.getNormalizedHost(window.location.host),
-      project: change.project,
-      changeNum: parseInt(change._number),
-      patchNum: parseInt(revision._number),
-    };
-    this.updateCoverageDataIfNecessary(changeInfo);
+  async navigateToUncoveredLines(location, direction) {
+    const navigation = await this.provideUncoveredNavigation(location);
+    const target = navigation && navigation[direction];
+    if (target) {
+      // Lets the router of Gerrit show the diff without reloading the page.
+      window.history.pushState({}, '', target.url);
+      window.dispatchEvent(new PopStateEvent('popstate', {state: {}}));
+    }
+    return navigation;
   }
 
   /**
-   * Provides code coverage percentage for a file of a patchset.
+   * Surfaces a warning if there are files with low coverage in the patchset.
+   *
+   * Each warning points to the uncovered added lines of its file. If there
+   * are no warnings, the change-wide coverage is reported as INFO.
    * @param {string} changeNum The change number of the patchset.
-   * @param {string} path The relative path to the file.
    * @param {string} patchNum The patchset number of the patchset.
-   * @param {string} type Type of percentage: "absolute" or "incremental".
-   * @return {object} Returns an object representing the absolute and
-   *     incremental coverages. On error, it logs the error and returns
-   *     null/undefined.
+   * @return {object} Returns a response of the checks API. If the project is
+   *     not supported, the run reports so without results. On error, the
+   *     response is an ERROR.
    */
-  async provideCoveragePercentages(changeNum, path, patchNum) {
-    const changeInfo = {
-      host: this.getNormalizedHost(window.location.host),
-      project: this.parseProjectFromPathName(window.location.pathname),
-      changeNum: parseInt(changeNum),
-      patchNum: parseInt(patchNum),
-    };
+  async mayBeShowLowCoverageWarning(changeNum, patchNum) {
+    const changeInfo = this.getCurrentChangeInfo(changeNum, patchNum);
     this.updateCoverageDataIfNecessary(changeInfo);
+    const run = {
+      checkName: DEFAULT_CHECK_NAME,
+      status: 'COMPLETED',
+    };
     try {
-      const coveragePercentages = await this.coverageData.percentagesPromise;
-      return coveragePercentages[path];
+      const config = (await this.getCoverageConfig(changeInfo.project)) || {};
+      const rules = this.getLowCoverageRules(config);
+      const category = toBoolean(config.checksBlocking) ? 'ERROR' : 'WARNING';
+      if (config.checkName) {
+        run.checkName = config.checkName;
+      }
+
+      const coveragePercentages =
+          (await this.coverageData.percentagesPromise) || {};
+      const reportUrl = this.getCoverageReportUrl(changeInfo, config);
+      const links = [];
+      if (reportUrl) {
+        links.push({
+          url: reportUrl,
+          tooltip: 'Full coverage report',
+          primary: true,
+          icon: 'external',
+        });
+        run.checkLink = reportUrl;
+      }
+      const warnings = [];
+      for (const file of Object.keys(coveragePercentages)) {
+        const fileCov = coveragePercentages[file];
+        const thresholds = this.getLowCoverageThresholds(rules, file);
+        if (!thresholds) {
+          continue;
+        }
+
+        for (const type of Object.keys(thresholds)) {
+          const percentage = getExactPercentage(fileCov, type);
+          if (thresholds[type] === null || percentage === null ||
+              percentage >= thresholds[type]) {
+            continue;
+          }
+
+          const counts = fileCov.counts && fileCov.counts[type];
+          const countsText = counts ?
+              ` (${counts.covered}/${counts.total} lines)` : '';
+          warnings.push({
+            category,
+            summary: `${LOW_COVERAGE_LABELS[type]} for ${file} is ` +
+                     `${formatExactPercentage(percentage)}${countsText}, ` +
+                     `which is below the bar (${thresholds[type]}%).`,
+            message: 'Please add tests for uncovered lines.',
+            links,
+            path: file,
+          });
+        }
+      }
+
+      const codePointers = await this.getUncoveredCodePointers(
+          changeInfo, [...new Set(warnings.map((warning) => warning.path))]);
+      for (const warning of warnings) {
+        warning.codePointers = codePointers[warning.path] || [];
+        delete warning.path;
+      }
+
+      if (warnings.length == 0) {
+        warnings.push({
+          category: 'INFO',
+          summary: this.getCoverageSummaryText(
+              computeAggregateCoverage(coveragePercentages)),
+          links,
+        });
+      }
+
+      run.results = warnings;
+      return {
+        responseCode: 'OK',
+        runs: [run],
+      };
     } catch(error) {
       console.log(error);
-      return null;
+      if (error instanceof ProjectNotSupportedError ||
+          error instanceof CoverageNotConfiguredError ||
+          error instanceof CoverageAuthError) {
+        run.statusDescription = error.message;
+        if (error.signInUrl) {
+          run.statusLink = error.signInUrl;
+        }
+        run.results = [];
+        return {
+          responseCode: 'OK',
+          runs: [run],
+        };
+      }
+
+      return {
+        responseCode: 'ERROR',
+        errorMessage: `Failed to fetch code coverage: ${error.message}`,
+      };
     }
   }
 
   /**
-   * Surfaces a warning if there are files with low coverage in the patchset.
+   * Drafts a Markdown summary of the incremental coverage of a patchset for
+   * a reply to the change.
+   *
+   * The summary lists the files whose incremental coverage is below their
+   * bar, see getLowCoverageThresholds, with their uncovered added lines.
    * @param {string} changeNum The change number of the patchset.
    * @param {string} patchNum The patchset number of the patchset.
-   * @return {object} Returns an object representing the warnings.
-   *  On error, it logs the error and returns null/undefined.
+   * @return {string} Returns the summary. On error, it logs the error and
+   *     returns null.
    */
-  async mayBeShowLowCoverageWarning(changeNum, patchNum) {
-    const changeInfo = {
-      host: this.getNormalizedHost(window.location.host),
-      project: this.parseProjectFromPathName(window.location.pathname),
-      changeNum: parseInt(changeNum),
-      patchNum: parseInt(patchNum),
-    };
+  async provideReplySummary(changeNum, patchNum) {
+    const changeInfo = this.getCurrentChangeInfo(changeNum, patchNum);
     this.updateCoverageDataIfNecessary(changeInfo);
     try {
+      const config = (await this.getCoverageConfig(changeInfo.project)) || {};
+      const rules = this.getLowCoverageRules(config);
       const coveragePercentages = await this.coverageData.percentagesPromise;
-      var warnings = [];
-      for (let file of Object.keys(coveragePercentages)) {
-        if(coveragePercentages[file].incremental
-           && coveragePercentages[file].incremental < LOW_COVERAGE_WARNING_BAR){
-          var msg = "";
-          warnings.push({
-            category: 'WARNING',
-            summary: msg.concat(
-              `Incremental coverage for ${file} is ${file.incremental} `,
-              `which is < the bar(${LOW_COVERAGE_WARNING_BAR}%). `,
-              `Please add tests for uncovered lines.`)
-          });
+      const lowFiles = [];
+      for (const path of Object.keys(coveragePercentages).sort()) {
+        const fileCov = coveragePercentages[path];
+        const percentage = getExactPercentage(fileCov, 'incremental');
+        const thresholds = this.getLowCoverageThresholds(rules, path);
+        if (thresholds && thresholds.incremental !== null &&
+            percentage !== null && percentage < thresholds.incremental) {
+          lowFiles.push({path, fileCov, threshold: thresholds.incremental});
         }
       }
-      return {
-        responseCode: 'OK',
-        runs: [
-          {
-            checkName: 'Low Coverage Check',
-            status: 'COMPLETED',
-            results: warnings,
-          },
-        ],
-      };
+
+      let targets = [];
+      if (lowFiles.length > 0) {
+        try {
+          targets = await this.getUncoveredTargets(changeInfo);
+        } catch(error) {
+          console.warn(error);
+          targets = null;
+        }
+      }
+      return getReplySummaryText(
+          computeAggregateCoverage(coveragePercentages),
+          lowFiles.map((file) => {
+            return Object.assign(file, {
+              uncoveredLines: targets && targets.filter(
+                  (target) => target.path === file.path),
+            });
+          }));
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+  }
+
+  /**
+   * Provides the results of the checks API for a patchset.
+   *
+   * The coverage check is only run for projects that turn it on with the
+   * 'checks' setting of their config.
+   * @param {object} changeData The ChangeData of the checks API.
+   * @return {promise} Resolves to a response of the checks API.
+   */
+  async provideChecks(changeData) {
+    try {
+      const config = await this.getCoverageConfig(changeData.repo);
+      if (!config || !toBoolean(config.checks)) {
+        return {responseCode: 'OK', runs: []};
+      }
     } catch(error) {
       console.log(error);
+      return {responseCode: 'OK', runs: []};
+    }
+
+    return this.mayBeShowLowCoverageWarning(changeData.changeNumber,
+                                            changeData.patchsetNumber);
+  }
+
+  /**
+   * Describes the change-wide coverage of a patchset.
+   * @param {object} aggregate The change-wide coverage, as returned by
+   *     computeAggregateCoverage.
+   * @return {string}
+   */
+  getCoverageSummaryText(aggregate) {
+    const describe = (type) => {
+      const counts = aggregate.counts[type];
+      return `${aggregate[type]}% (${counts.covered}/${counts.total} lines)`;
+    };
+
+    const parts = [];
+    if (aggregate.incremental != null) {
+      parts.push(`incremental coverage is ${describe('incremental')}`);
+    }
+    if (aggregate.absolute != null) {
+      parts.push(`absolute coverage is ${describe('absolute')}`);
+    }
+    if (parts.length == 0) {
+      return 'No coverage data for the files of this change.';
+    }
+
+    return `All files meet the coverage bars: ${parts.join(', ')}.`;
+  }
+
+  /**
+   * Gets the coverage dimensions shown as columns of the file list.
+   *
+   * Each 'dimension' setting of the coverage config is a coverage type,
+   * optionally followed by the label of its column and a description, such
+   * as "absolute_integration_tests |Cov|(I) Coverage of integration tests".
+   * If set, only those dimensions are shown, in that order. Otherwise, the
+   * built-in types are shown, followed by the other types that the coverage
+   * data has. The branch coverage is only shown if some file has it.
+   * @param {object} config The coverage config of the project.
+   * @param {object} coveragePercentages The coverage percentages of the
+   *     patchset, optional.
+   * @return {Array} Returns a list of objects with 'type', 'label' and
+   *     'description' properties.
+   */
+  getCoverageDimensions(config, coveragePercentages) {
+    const describe = (type, label, description) => {
+      const known = DIMENSION_LABELS[type];
+      const name = type.replace(/^(absolute|incremental)_/, '')
+          .replace(/_/g, ' ');
       return {
-        // TODO: Make sure that a repo not being supported is not treated as an
-        // error. And then report realy errors as ERROR.
-        responseCode: 'OK',
-        runs: [],
+        type,
+        label: label || (known && known.label) ||
+            (type.startsWith('incremental_') ? `ΔCov(${name})` :
+             type.startsWith('absolute_') ? `|Cov|(${name})` : name),
+        description: description || (known && known.description) ||
+            `Coverage percentage(${name}) of the file`,
       };
+    };
+
+    const declared = toList(config && config.dimension).map((value) => {
+      const [type, label, ...description] = value.trim().split(/\s+/);
+      return describe(type, label, description.join(' '));
+    });
+    if (declared.length > 0) {
+      return declared;
+    }
+
+    const presentTypes = new Set();
+    for (const fileCov of Object.values(coveragePercentages || {})) {
+      for (const [type, counts] of Object.entries(fileCov.counts || {})) {
+        if (counts) {
+          presentTypes.add(type);
+        }
+      }
+    }
+    const builtInTypes = COVERAGE_TYPES.filter((type) => {
+      return type !== 'branch' || presentTypes.has(type);
+    });
+    const extraTypes = [...presentTypes].filter((type) => {
+      return !COVERAGE_TYPES.includes(type);
+    });
+    return builtInTypes.concat(extraTypes.sort()).map(
+        (type) => describe(type));
+  }
+
+  /**
+   * Provides the coverage dimensions of the current patchset, see
+   * getCoverageDimensions. The list is the same object as long as the
+   * dimensions don't change, so that views aren't rendered again.
+   * @return {Array} Returns a list of dimensions. On error, it logs the
+   *     error and returns the built-in dimensions.
+   */
+  async provideCoverageDimensions() {
+    let config = {};
+    let coveragePercentages = null;
+    try {
+      config = (await this.getCoverageConfig(this.parseProjectFromPathName(
+          window.location.pathname))) || {};
+      const coverageData = this.coverageData;
+      if (coverageData.status && coverageData.status.state === 'ready') {
+        coveragePercentages = await coverageData.percentagesPromise;
+      }
+    } catch(error) {
+      console.log(error);
+    }
+
+    const dimensions = this.getCoverageDimensions(config, coveragePercentages);
+    if (JSON.stringify(dimensions) !== JSON.stringify(this.dimensions)) {
+      this.dimensions = dimensions;
+    }
+    return this.dimensions;
+  }
+
+  /**
+   * Gets the platforms, or builders, that the coverage data of a project is
+   * keyed by.
+   *
+   * Each 'platform' setting of the coverage config is the name of a
+   * platform, passed to the backend, optionally followed by its label, such
+   * as "android Android". Projects without the setting have coverage data
+   * of a single platform.
+   * @param {object} config The coverage config of the project.
+   * @return {Array} Returns a list of objects with 'name' and 'label'
+   *     properties.
+   */
+  getCoveragePlatforms(config) {
+    return toList(config && config.platform).map((value) => {
+      const [name, ...label] = value.trim().split(/\s+/);
+      return {name, label: label.join(' ') || name};
+    }).filter((platform) => platform.name);
+  }
+
+  /**
+   * Gets the platform whose coverage data is shown.
+   *
+   * That is the given platform if the project has it, otherwise the
+   * 'defaultPlatform' setting of the coverage config, or the first platform.
+   * Projects with several platforms also have the merged platform, whose
+   * name is 'merged'.
+   * @param {object} config The coverage config of the project.
+   * @param {string} platform The name of the platform, optional.
+   * @return {string} Returns the name of the platform, or null if the
+   *     project has no platforms.
+   */
+  getSelectedPlatform(config, platform) {
+    const names = this.getCoveragePlatforms(config).map(({name}) => name);
+    if (names.length == 0) {
+      return null;
+    }
+
+    const isAvailable = (name) => {
+      return names.includes(name) ||
+             (name === MERGED_PLATFORM && names.length > 1);
+    };
+    if (isAvailable(platform)) {
+      return platform;
+    }
+    if (config.defaultPlatform && isAvailable(config.defaultPlatform)) {
+      return config.defaultPlatform;
+    }
+    return names[0];
+  }
+
+  /**
+   * Provides the platforms of the current project to select from.
+   * @return {object} Returns an object with 'platforms', a list of
+   *     platforms as returned by getCoveragePlatforms followed by the merged
+   *     platform if there are several, and 'selected', the name of the
+   *     selected platform. On error, it logs the error and returns no
+   *     platforms.
+   */
+  async providePlatforms() {
+    let config = {};
+    try {
+      config = (await this.getCoverageConfig(this.parseProjectFromPathName(
+          window.location.pathname))) || {};
+    } catch(error) {
+      console.log(error);
+    }
+
+    const platforms = this.getCoveragePlatforms(config);
+    if (platforms.length > 1) {
+      platforms.push({name: MERGED_PLATFORM, label: 'All platforms'});
+    }
+    return {
+      platforms,
+      selected: this.getSelectedPlatform(config, this.platform),
+    };
+  }
+
+  /**
+   * Selects the platform to show the coverage data of, and fetches the data
+   * of the current patchsets on that platform.
+   *
+   * The status listeners are notified as the data loads. The ranges are
+   * fetched again if they were fetched before, so that the coverage
+   * listeners are notified, but diffs only get the ranges of the platform
+   * once they are loaded again, as Gerrit only asks for the ranges of a diff
+   * when it loads.
+   * @param {string} platform The name of the platform.
+   */
+  selectPlatform(platform) {
+    this.platform = platform;
+    const changeNum = this.coverageData.changeInfo.changeNum;
+    for (const [slot, isBase] of [['baseCoverageData', true],
+                                  ['coverageData', false]]) {
+      const {host, project, patchNum} = this[slot].changeInfo;
+      if (this[slot].changeInfo.changeNum !== changeNum) {
+        continue;
+      }
+
+      const hadRanges = !!this[slot].rangesPromise;
+      this.updateCoverageDataIfNecessary(
+          {host, project, changeNum, patchNum}, isBase);
+      if (hadRanges) {
+        // Failures are logged by ensureCoverageRanges.
+        this.ensureCoverageRanges(this[slot]).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Gets the coverage config of a project.
+   * @param {string} project The name of the project.
+   * @return {promise} Resolves to the config object, see configPromise.
+   */
+  getCoverageConfig(project) {
+    if (project !== this.coverageConfig.project) {
+      this.coverageConfig.project = project;
+      this.coverageConfig.configPromise = this.plugin.restApi().get(
+          `/projects/${encodeURIComponent(project)}/` +
+            `${encodeURIComponent(this.plugin.getPluginName())}~config`);
+    }
+
+    return this.coverageConfig.configPromise;
+  }
+
+  /**
+   * Gets the thresholds of the colours of coverage percentages in the file
+   * list, from the 'heatMapThresholds' setting of the coverage config, which
+   * is a low and a high percentage separated by a space. The setting 'off'
+   * turns the colours off.
+   * @return {promise} Resolves to an object with 'low' and 'high'
+   *     properties, or null if the percentages are not coloured.
+   */
+  async getHeatMapThresholds() {
+    const project = this.parseProjectFromPathName(window.location.pathname);
+    let config;
+    try {
+      config = (await this.getCoverageConfig(project)) || {};
+    } catch(error) {
+      console.log(error);
+      return null;
+    }
+
+    const value = String(config.heatMapThresholds || '').trim();
+    if (!value) {
+      return Object.assign({}, HEAT_MAP_THRESHOLDS);
+    }
+    if (value === 'off') {
+      return null;
+    }
+
+    const [low, high] = value.split(/\s+/).map(parseFloat);
+    if (isNaN(low) || isNaN(high) || low > high) {
+      console.warn(`Ignoring malformed heatMapThresholds "${value}"`);
+      return Object.assign({}, HEAT_MAP_THRESHOLDS);
     }
+
+    return {low, high};
   }
 
   /**
@@ -555,14 +3010,8 @@ export class CoverageClient {
     // attached, which means that the current page is at change view and that
     // the current project can be parsed from the current URL.
     const project = this.parseProjectFromPathName(window.location.pathname);
-    if (project !== this.coverageConfig.project) {
-      this.coverageConfig.project = project;
-      this.coverageConfig.configPromise = this.plugin.restApi().get(
-          `/projects/${encodeURIComponent(project)}/` +
-            `${encodeURIComponent(this.plugin.getPluginName())}~config`);
-    }
     try {
-      const config = await this.coverageConfig.configPromise;
+      const config = await this.getCoverageConfig(project);
       return config && config.enabled;
     } catch(error) {
       console.log(error);
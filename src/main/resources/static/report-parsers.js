@@ -0,0 +1,481 @@
+// Copyright 2020 The Chromium Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+// Parsers of coverage reports produced by common coverage tools. Each parser
+// takes the text of a report and the path options of the backend, see
+// normalizeReportPath, and returns an object that looks like:
+//
+// {
+//   files: [
+//     {
+//       path: 'base/test.cc',
+//       lines: [
+//         {
+//           line: 10,
+//           count: 3,
+//           branches: {
+//             taken: 1,
+//             total: 2,
+//           },
+//         },
+//       ],
+//       absolute_coverage: {
+//         covered: 1,
+//         total: 1,
+//       },
+//       branch_coverage: {
+//         covered: 1,
+//         total: 2,
+//       },
+//       has_hit_counts: false,
+//     }
+//   ]
+// }
+//
+// The lines of a file are sorted by line number and the counts of lines that
+// are reported more than once are summed up. The 'branches' of a line and the
+// 'branch_coverage' of a file are only present if the report has branch
+// information for them. 'has_hit_counts' is only present, and false, if the
+// counts of the lines are not execution counts.
+
+/**
+ * Normalizes a file path of a report to a path relative to the repository.
+ *
+ * Reports often hold absolute paths of the machine that ran the tests, or
+ * paths relative to a source directory. The first of the 'stripPathPrefix'
+ * options that the path starts with is stripped, and the 'pathPrefix'
+ * option is then prepended, such as 'src/main/java/' for JaCoCo reports.
+ * @param {string} path The file path as it appears in the report.
+ * @param {object} options The 'stripPathPrefix' and 'pathPrefix' settings of
+ *     the backend, optional.
+ * @return {string}
+ */
+function normalizeReportPath(path, options={}) {
+  for (const prefix of options.stripPathPrefix || []) {
+    if (prefix && path.startsWith(prefix)) {
+      path = path.substring(prefix.length).replace(/^\/+/, '');
+      break;
+    }
+  }
+  while (path.startsWith('./')) {
+    path = path.substring(2);
+  }
+  if (options.pathPrefix) {
+    path = `${options.pathPrefix.replace(/\/+$/, '')}/${path}`;
+  }
+
+  return path;
+}
+
+/**
+ * Collects the line counts of report files, merging duplicate entries.
+ */
+class ReportBuilder {
+  /**
+   * @param {object} options The path options of the backend, see
+   *     normalizeReportPath.
+   */
+  constructor(options={}) {
+    this.options = options;
+    // Map of file paths to maps of line numbers to objects that have 'count'
+    // and 'branches' properties.
+    this.files = new Map();
+  }
+
+  /**
+   * Normalizes a file path of the report, see normalizeReportPath.
+   * @param {string} path The file path as it appears in the report.
+   * @return {string}
+   */
+  normalizePath(path) {
+    return normalizeReportPath(path, this.options);
+  }
+
+  /**
+   * Records the execution count of a line.
+   * @param {string} path The normalized file path, see normalizePath.
+   * @param {number} line The line number.
+   * @param {number} count The execution count of the line.
+   */
+  addLine(path, line, count) {
+    const entry = this.getLine(path, line);
+    entry.count += count;
+  }
+
+  /**
+   * Records the branches of a line.
+   *
+   * As the branches of a line reported more than once are the same branches,
+   * the larger numbers of taken and total branches are kept.
+   * @param {string} path The normalized file path, see normalizePath.
+   * @param {number} line The line number.
+   * @param {number} taken The number of taken branches.
+   * @param {number} total The total number of branches.
+   */
+  addBranches(path, line, taken, total) {
+    const entry = this.getLine(path, line);
+    if (!entry.branches) {
+      entry.branches = {taken: 0, total: 0};
+    }
+    entry.branches.taken = Math.max(entry.branches.taken, taken);
+    entry.branches.total = Math.max(entry.branches.total, total);
+  }
+
+  /**
+   * Gets the entry of a line, adding the line if it is not known yet.
+   * @param {string} path The normalized file path, see normalizePath.
+   * @param {number} line The line number.
+   * @return {object} Has 'count' and 'branches' properties.
+   */
+  getLine(path, line) {
+    const lines = this.getFile(path);
+    if (!lines.has(line)) {
+      lines.set(line, {count: 0, branches: null});
+    }
+
+    return lines.get(line);
+  }
+
+  /**
+   * Gets the lines of a file, adding the file if it is not known yet.
+   * @param {string} path The normalized file path, see normalizePath.
+   * @return {Map} Map of line numbers to line entries.
+   */
+  getFile(path) {
+    if (!this.files.has(path)) {
+      this.files.set(path, new Map());
+    }
+
+    return this.files.get(path);
+  }
+
+  /**
+   * Builds the parsed report.
+   * @return {object} See the format at the top of this file.
+   */
+  build() {
+    const files = [];
+    for (const [path, lineEntries] of this.files) {
+      const lines = [];
+      let branchCoverage = null;
+      for (const [line, entry] of lineEntries) {
+        if (!entry.branches) {
+          lines.push({line, count: entry.count});
+          continue;
+        }
+
+        lines.push({line, count: entry.count, branches: entry.branches});
+        if (!branchCoverage) {
+          branchCoverage = {covered: 0, total: 0};
+        }
+        branchCoverage.covered += entry.branches.taken;
+        branchCoverage.total += entry.branches.total;
+      }
+      lines.sort((a, b) => a.line - b.line);
+
+      const file = {
+        path,
+        lines,
+        absolute_coverage: {
+          covered: lines.filter((line) => line.count > 0).length,
+          total: lines.length,
+        },
+      };
+      if (branchCoverage) {
+        file.branch_coverage = branchCoverage;
+      }
+      files.push(file);
+    }
+
+    return {files};
+  }
+}
+
+/**
+ * Parses an LCOV tracefile.
+ *
+ * Only the 'SF', 'DA', 'BRDA', 'LF', 'LH' and 'end_of_record' records are
+ * used. The absolute coverage of a file is taken from its 'LF' and 'LH'
+ * records if the file appears in a single record, otherwise, it is computed
+ * from the merged 'DA' records.
+ * @param {string} text The content of the tracefile.
+ * @param {object} options The path options of the backend, optional.
+ * @return {object} See the format at the top of this file.
+ */
+export function parseLcovReport(text, options={}) {
+  const builder = new ReportBuilder(options);
+  // Map of file paths to the LF/LH summaries of their records.
+  const summaries = new Map();
+  let path = null;
+  let summary = null;
+  // Map of line numbers to the branches of the current record.
+  let branches = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    const separator = line.indexOf(':');
+    const key = separator == -1 ? line : line.substring(0, separator);
+    const value = separator == -1 ? '' : line.substring(separator + 1);
+
+    if (key === 'SF') {
+      path = builder.normalizePath(value);
+      summary = {covered: null, total: null};
+      branches = new Map();
+      builder.getFile(path);
+      continue;
+    }
+
+    if (key !== 'DA' && key !== 'BRDA' && key !== 'LF' && key !== 'LH' &&
+        key !== 'end_of_record') {
+      continue;
+    }
+
+    if (path === null) {
+      throw new Error('Invalid LCOV report format. Expecting "SF" record ' +
+                      `before "${key}" record`);
+    }
+
+    if (key === 'DA') {
+      const fields = value.split(',');
+      const lineNum = parseInt(fields[0]);
+      const count = parseInt(fields[1]);
+      if (isNaN(lineNum) || isNaN(count)) {
+        throw new Error(`Invalid LCOV report format. Malformed "DA:${value}"`);
+      }
+      builder.addLine(path, lineNum, count);
+    } else if (key === 'BRDA') {
+      // BRDA:<line>,<block>,<branch>,<taken>, where <taken> is '-' if the
+      // block of the branch is never executed.
+      const fields = value.split(',');
+      const lineNum = parseInt(fields[0]);
+      if (isNaN(lineNum) || fields.length != 4) {
+        throw new Error(
+            `Invalid LCOV report format. Malformed "BRDA:${value}"`);
+      }
+      const lineBranches = branches.get(lineNum) || {taken: 0, total: 0};
+      lineBranches.total += 1;
+      if (fields[3] !== '-' && parseInt(fields[3]) > 0) {
+        lineBranches.taken += 1;
+      }
+      branches.set(lineNum, lineBranches);
+    } else if (key === 'LF') {
+      summary.total = parseInt(value);
+    } else if (key === 'LH') {
+      summary.covered = parseInt(value);
+    } else {
+      if (!summaries.has(path)) {
+        summaries.set(path, []);
+      }
+      summaries.get(path).push(summary);
+      for (const [lineNum, lineBranches] of branches) {
+        builder.addBranches(path, lineNum, lineBranches.taken,
+                            lineBranches.total);
+      }
+      path = null;
+      summary = null;
+      branches = null;
+    }
+  }
+
+  const report = builder.build();
+  for (const file of report.files) {
+    const fileSummaries = summaries.get(file.path) || [];
+    if (fileSummaries.length == 1 && fileSummaries[0].total !== null &&
+        fileSummaries[0].covered !== null) {
+      file.absolute_coverage = fileSummaries[0];
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Parses an XML report.
+ * @param {string} text The content of the report.
+ * @param {string} format The name of the format, used in error messages.
+ * @param {string} rootTagName The expected tag name of the root element.
+ * @return {Document}
+ */
+function parseXmlReport(text, format, rootTagName) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Invalid ${format} report format. Malformed XML`);
+  }
+
+  if (doc.documentElement.tagName !== rootTagName) {
+    throw new Error(`Invalid ${format} report format. Expecting ` +
+                    `"${rootTagName}" root element`);
+  }
+
+  return doc;
+}
+
+/**
+ * Gets an integer attribute of an XML element.
+ * @param {Element} element The XML element.
+ * @param {string} name The name of the attribute.
+ * @param {string} format The name of the format, used in error messages.
+ * @return {number}
+ */
+function getIntAttribute(element, name, format) {
+  const value = parseInt(element.getAttribute(name));
+  if (isNaN(value)) {
+    throw new Error(`Invalid ${format} report format. Expecting "${name}" ` +
+                    `attribute of "${element.tagName}" element`);
+  }
+
+  return value;
+}
+
+/**
+ * Resolves the 'filename' of a Cobertura class, which is relative to one of
+ * the '<source>' directories of the report.
+ *
+ * The first source that gives a path which a 'stripPathPrefix' option
+ * applies to is used, such as an absolute source directory. Otherwise, the
+ * first relative source is used, or the file name is kept if all the sources
+ * are absolute, as it is then expected to be relative to the repository.
+ * @param {string} filename The 'filename' attribute of the class.
+ * @param {Array} sources The source directories of the report.
+ * @param {object} options The path options of the backend.
+ * @return {string} Returns the path as if it appeared in the report.
+ */
+function resolveCoberturaPath(filename, sources, options) {
+  if (filename.startsWith('/')) {
+    return filename;
+  }
+
+  const paths = sources.map((source) => {
+    return `${source.replace(/\/+$/, '')}/${filename}`;
+  });
+  const strippedPath = paths.find((path) => {
+    return (options.stripPathPrefix || []).some((prefix) => {
+      return prefix && path.startsWith(prefix);
+    });
+  });
+  if (strippedPath) {
+    return strippedPath;
+  }
+
+  const relativeIndex = sources.findIndex((source) => !source.startsWith('/'));
+  return relativeIndex == -1 ? filename : paths[relativeIndex];
+}
+
+/**
+ * Parses a Cobertura XML report, as produced by coverage.py or gcovr.
+ *
+ * The lines of a file are taken from the '<class filename>' elements, whose
+ * '<lines>' hold '<line number hits>' elements. The file names are relative
+ * to the '<source>' directories of the report, see resolveCoberturaPath. The
+ * lines of the methods of a class are duplicates of the lines of the class
+ * and are ignored. The branches of a line are taken from its
+ * 'condition-coverage' attribute, such as "50% (1/2)".
+ * @param {string} text The content of the report.
+ * @param {object} options The path options of the backend, optional.
+ * @return {object} See the format at the top of this file.
+ */
+export function parseCoberturaReport(text, options={}) {
+  const doc = parseXmlReport(text, 'Cobertura', 'coverage');
+  const builder = new ReportBuilder(options);
+  const sources = [];
+  for (const source of doc.querySelectorAll('sources > source')) {
+    const directory = source.textContent.trim();
+    if (directory) {
+      sources.push(directory);
+    }
+  }
+  for (const classElement of doc.getElementsByTagName('class')) {
+    const filename = classElement.getAttribute('filename');
+    if (!filename) {
+      throw new Error('Invalid Cobertura report format. Expecting ' +
+                      '"filename" attribute of "class" element');
+    }
+
+    const path = builder.normalizePath(
+        resolveCoberturaPath(filename, sources, options));
+    builder.getFile(path);
+    const lines = classElement.querySelectorAll(':scope > lines > line');
+    for (const line of lines) {
+      const lineNum = getIntAttribute(line, 'number', 'Cobertura');
+      builder.addLine(path, lineNum,
+                      getIntAttribute(line, 'hits', 'Cobertura'));
+
+      const conditionCoverage = line.getAttribute('condition-coverage');
+      const match = conditionCoverage &&
+          conditionCoverage.match(/\((\d+)\/(\d+)\)/);
+      if (line.getAttribute('branch') === 'true' && match) {
+        builder.addBranches(path, lineNum, parseInt(match[1]),
+                            parseInt(match[2]));
+      }
+    }
+  }
+
+  return builder.build();
+}
+
+/**
+ * Parses a JaCoCo XML report.
+ *
+ * The path of a file is made of the name of its '<package>' and the name of
+ * its '<sourcefile>', such as 'org/example/Foo.java', so the source
+ * directory usually needs to be prepended by the 'pathPrefix' option. A
+ * '<line nr ci mi>' element counts the covered and missed instructions of
+ * the line rather than its executions, so the count of a line is 1 if any
+ * of its instructions is covered and 0 otherwise, and the files of the report
+ * have no hit counts. Lines without any instruction are ignored. The
+ * branches of a line are taken from its 'cb' (covered branches) and 'mb'
+ * (missed branches) attributes.
+ * @param {string} text The content of the report.
+ * @param {object} options The path options of the backend, optional.
+ * @return {object} See the format at the top of this file.
+ */
+export function parseJacocoReport(text, options={}) {
+  const doc = parseXmlReport(text, 'JaCoCo', 'report');
+  const builder = new ReportBuilder(options);
+  for (const packageElement of doc.getElementsByTagName('package')) {
+    const packageName = packageElement.getAttribute('name') || '';
+    const sourceFiles = packageElement.querySelectorAll(':scope > sourcefile');
+    for (const sourceFile of sourceFiles) {
+      const name = sourceFile.getAttribute('name');
+      if (!name) {
+        throw new Error('Invalid JaCoCo report format. Expecting "name" ' +
+                        'attribute of "sourcefile" element');
+      }
+
+      const path = builder.normalizePath(
+          packageName ? `${packageName}/${name}` : name);
+      builder.getFile(path);
+      for (const line of sourceFile.querySelectorAll(':scope > line')) {
+        const covered = getIntAttribute(line, 'ci', 'JaCoCo');
+        const missed = getIntAttribute(line, 'mi', 'JaCoCo');
+        if (covered + missed == 0) {
+          continue;
+        }
+
+        const lineNum = getIntAttribute(line, 'nr', 'JaCoCo');
+        builder.addLine(path, lineNum, covered > 0 ? 1 : 0);
+        const coveredBranches = parseInt(line.getAttribute('cb')) || 0;
+        const missedBranches = parseInt(line.getAttribute('mb')) || 0;
+        if (coveredBranches + missedBranches > 0) {
+          builder.addBranches(path, lineNum, coveredBranches,
+                              coveredBranches + missedBranches);
+        }
+      }
+    }
+  }
+
+  const report = builder.build();
+  for (const file of report.files) {
+    file.has_hit_counts = false;
+  }
+  return report;
+}
+
+// Dict of report formats, as configured by the 'format' setting of a project,
+// and corresponding parsers.
+export const REPORT_PARSERS = {
+  cobertura: parseCoberturaReport,
+  jacoco: parseJacocoReport,
+  lcov: parseLcovReport,
+};
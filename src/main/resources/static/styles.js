@@ -16,6 +16,195 @@ styleElement.innerHTML =
        .coverage-percentage-column.hidden {
          display: none;
        }
+       .coverage-delta {
+         font-size: smaller;
+         margin-left: 0.25em;
+       }
+       .coverage-delta.increased {
+         color: var(--positive-green-text-color, green);
+       }
+       .coverage-delta.increased::after {
+         content: '▲';
+       }
+       .coverage-delta.decreased {
+         color: var(--negative-red-text-color, red);
+       }
+       .coverage-delta.decreased::after {
+         content: '▼';
+       }
+       .coverage-heat.low {
+         color: var(--coverage-low-color,
+                    var(--negative-red-text-color, #c5221f));
+       }
+       .coverage-heat.medium {
+         color: var(--coverage-medium-color,
+                    var(--warning-foreground, #b06000));
+       }
+       .coverage-heat.high {
+         color: var(--coverage-high-color,
+                    var(--positive-green-text-color, #188038));
+       }
+       .coverage-heat.uncovered {
+         font-weight: bold;
+       }
+       .coverage-heat.uncovered::before {
+         content: '✗ ';
+       }
+       :host {
+         position: relative;
+       }
+       /* Keeps the header cells as wide as the content cells. */
+       .coverage-ranking-toggle {
+         background: none;
+         border: none;
+         color: var(--deemphasized-text-color, gray);
+         cursor: pointer;
+         font-size: smaller;
+         padding: 0;
+         position: absolute;
+         right: 0;
+         top: 0;
+       }
+       .coverage-ranking-toggle[hidden],
+       .coverage-ranking[hidden] {
+         display: none;
+       }
+       .coverage-ranking {
+         background: var(--dialog-background-color, white);
+         border: 1px solid var(--border-color, #ddd);
+         box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
+         display: flex;
+         flex-direction: column;
+         max-height: 50vh;
+         max-width: 40em;
+         overflow: auto;
+         padding: 0.5em;
+         position: absolute;
+         right: 0;
+         top: 100%;
+         white-space: nowrap;
+         z-index: 100;
+       }
+       .coverage-ranking input {
+         width: 4em;
+       }
+       .coverage-ranking a {
+         color: var(--link-color, blue);
+         overflow: hidden;
+         text-decoration: none;
+         text-overflow: ellipsis;
+       }
+       .coverage-ranking-percentage {
+         display: inline-block;
+         min-width: 3.5em;
+       }
+       .coverage-ranking-message {
+         color: var(--deemphasized-text-color, gray);
+       }
+       .coverage-navigator[hidden] {
+         display: none;
+       }
+       .coverage-navigator .title {
+         color: var(--deemphasized-text-color, gray);
+         margin-right: 0.25em;
+       }
+       .coverage-navigator button {
+         background: none;
+         border: none;
+         color: var(--link-color, blue);
+         cursor: pointer;
+         padding: 0 0.25em;
+       }
+       .coverage-navigator-message {
+         color: var(--deemphasized-text-color, gray);
+       }
+       .coverage-reply[hidden] {
+         display: none;
+       }
+       .coverage-reply-message {
+         color: var(--deemphasized-text-color, gray);
+         margin-left: 0.5em;
+       }
+       .coverage-directories[hidden],
+       .coverage-directory-row[hidden] {
+         display: none;
+       }
+       .coverage-directory-row {
+         align-items: baseline;
+         display: flex;
+       }
+       .coverage-directory-row.header {
+         font-weight: bold;
+       }
+       .coverage-directory-toggle,
+       .coverage-directory-file {
+         flex: 1;
+         overflow: hidden;
+         text-overflow: ellipsis;
+         white-space: nowrap;
+       }
+       .coverage-directory-toggle {
+         background: none;
+         border: none;
+         color: inherit;
+         cursor: pointer;
+         font: inherit;
+         padding: 0;
+         text-align: left;
+       }
+       .coverage-directory-icon {
+         display: inline-block;
+         width: 1em;
+       }
+       .coverage-directory-file {
+         color: var(--link-color, blue);
+         padding-left: 1em;
+         text-decoration: none;
+       }
+       .coverage-directory-percentage {
+         min-width: 3.5em;
+         text-align: right;
+       }
+       .coverage-directory-children {
+         padding-left: 1em;
+       }
+       .coverage-directory-children.root {
+         padding-left: 0;
+       }
+       .coverage-directories-message {
+         color: var(--deemphasized-text-color, gray);
+       }
+       .coverage-columns {
+         position: relative;
+       }
+       .coverage-columns[hidden] {
+         display: none;
+       }
+       .coverage-indicators {
+         position: absolute;
+         right: 100%;
+         white-space: nowrap;
+       }
+       .coverage-platform {
+         font: inherit;
+         max-width: 8em;
+       }
+       .coverage-platform[hidden] {
+         display: none;
+       }
+       .coverage-status {
+         color: var(--deemphasized-text-color, gray);
+         cursor: help;
+         margin-left: 0.25em;
+         text-decoration: none;
+       }
+       .coverage-status[href] {
+         cursor: pointer;
+       }
+       .coverage-status.failed,
+       .coverage-status.sign-in {
+         color: var(--negative-red-text-color, red);
+       }
      </style>
   </template>`;
 styleElement.register('coverage-column-styles');
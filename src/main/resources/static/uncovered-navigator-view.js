@@ -0,0 +1,78 @@
+/*
+Copyright 2020 The Chromium Authors. All rights reserved.
+Use of this source code is governed by a BSD-style license that can be
+found in the LICENSE file.
+*/
+
+import './styles.js';
+
+/**
+ * Moves between the uncovered added lines of the change, across its files,
+ * from the current line when it is in a diff.
+ */
+class UncoveredNavigatorView extends Polymer.Element {
+  static get template() {
+    return Polymer.html`
+      <style include="coverage-column-styles"></style>
+      <div class="coverage-navigator" hidden$="[[!shown]]">
+        <span class="title">Uncovered lines</span>
+        <button title="Previous uncovered added lines (Alt+[)" on-click="_navigatePrevious">◀</button>
+        <button title="Next uncovered added lines (Alt+])" on-click="_navigateNext">▶</button>
+        <span class="coverage-navigator-message">[[message]]</span>
+      </div>
+    `;
+  }
+
+  static get is() {
+    return 'uncovered-navigator-view';
+  }
+
+  static get properties() {
+    return {
+      shown: {
+        type: Boolean,
+        value: false,
+      },
+      revision: Object,
+      // Returns the current location, see CoverageClient.parseDiffLocation.
+      locator: Function,
+      // See CoverageClient.navigateToUncoveredLines.
+      navigator: Function,
+      message: {
+        type: String,
+        value: '',
+      },
+    };
+  }
+
+  _navigatePrevious() {
+    return this._navigate('previous');
+  }
+
+  _navigateNext() {
+    return this._navigate('next');
+  }
+
+  async _navigate(direction) {
+    const location = this.locator ? this.locator() : null;
+    if (!location || !this.navigator) {
+      return;
+    }
+    // The URL of the change view only has the patchset if it isn't the
+    // latest one.
+    if (!location.patchNum && this.revision) {
+      location.patchNum = this.revision._number;
+    }
+
+    this.message = '…';
+    const navigation = await this.navigator(location, direction);
+    if (!navigation) {
+      this.message = 'Not available';
+    } else if (navigation.total == 0) {
+      this.message = 'None';
+    } else {
+      this.message = `${navigation.total} in the change`;
+    }
+  }
+}
+customElements.define(UncoveredNavigatorView.is, UncoveredNavigatorView);